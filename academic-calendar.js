@@ -0,0 +1,135 @@
+/**
+ * @file academic-calendar.js
+ * @description Consulta o calendário acadêmico empacotado em
+ * data/calendario-academico.json (feriados, recessos e semanas de provas por
+ * semestre, com variações por campus) para descobrir em quais datas uma aula
+ * semanal não acontece.
+ *
+ * Formato de cada semestre do arquivo de dados:
+ * - holidays: [{ date: 'YYYY-MM-DD', name }] válidos para todos os campi;
+ * - recess: [{ start: 'YYYY-MM-DD', end: 'YYYY-MM-DD', name }] períodos sem aula;
+ * - examWeeks: [{ start: 'YYYY-MM-DD', end: 'YYYY-MM-DD', name }] semanas reservadas
+ *   às provas, em que as aulas regulares não acontecem;
+ * - campusVariations: { [campus]: { holidays, recess, examWeeks } } específicos de um campus.
+ */
+
+/**
+ * Formata um objeto Date como "YYYY-MM-DD" usando o fuso horário local.
+ * @param {Date} date - A data a ser formatada.
+ * @returns {string} A data formatada.
+ */
+function toIsoDateString(date) {
+    const year = date.getFullYear();
+    const month = (date.getMonth() + 1).toString().padStart(2, '0');
+    const day = date.getDate().toString().padStart(2, '0');
+    return `${year}-${month}-${day}`;
+}
+
+/**
+ * Expande um período de recesso (ou uma semana de provas) em uma entrada por dia.
+ * @param {{start: string, end: string, name: string}} recess - O período.
+ * @returns {Array<{date: string, name: string}>} Os dias do período.
+ */
+function expandRecess(recess) {
+    const days = [];
+    const current = new Date(`${recess.start}T00:00:00`);
+    const last = new Date(`${recess.end}T00:00:00`);
+    while (current <= last) {
+        days.push({ date: toIsoDateString(current), name: recess.name });
+        current.setDate(current.getDate() + 1);
+    }
+    return days;
+}
+
+/**
+ * Lista todos os dias sem aula do calendário para um campus, já ordenados e sem
+ * datas repetidas.
+ * @param {Object} calendar - O conteúdo de data/calendario-academico.json.
+ * @param {string} [campus] - O campus escolhido; sem ele, só valem as datas gerais.
+ * @returns {Array<{date: string, name: string}>} Os dias sem aula.
+ */
+function getNonTeachingDays(calendar, campus) {
+    if (!calendar || !Array.isArray(calendar.semesters)) return [];
+
+    const byDate = new Map();
+    calendar.semesters.forEach(semester => {
+        const variation = (semester.campusVariations || {})[campus] || {};
+        const holidays = [...(semester.holidays || []), ...(variation.holidays || [])];
+        const recess = [
+            ...(semester.recess || []), ...(variation.recess || []),
+            ...(semester.examWeeks || []), ...(variation.examWeeks || [])
+        ];
+
+        holidays.forEach(holiday => {
+            if (!byDate.has(holiday.date)) byDate.set(holiday.date, { date: holiday.date, name: holiday.name });
+        });
+        recess.flatMap(expandRecess).forEach(day => {
+            if (!byDate.has(day.date)) byDate.set(day.date, day);
+        });
+    });
+
+    return [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Lista as datas em que a aula ocorreria segundo a recorrência semanal exportada
+ * (até a data de fim da turma ou, sem ela, pelo número padrão de semanas).
+ * @param {Object} event - O objeto da aula.
+ * @param {Date} [now] - A data de referência quando a turma não tem data de início.
+ * @returns {Array<Date>} As datas das aulas.
+ */
+function getClassOccurrences(event, now = new Date()) {
+    const occurrences = [];
+    const current = calculateFirstClassDate(event.startDate || now, event.day);
+    current.setHours(0, 0, 0, 0);
+
+    if (event.endDate) {
+        const lastDay = new Date(event.endDate);
+        lastDay.setHours(23, 59, 59, 0);
+        while (current <= lastDay) {
+            occurrences.push(new Date(current));
+            current.setDate(current.getDate() + 7);
+        }
+    } else {
+        for (let week = 0; week < ICS_DEFAULT_WEEK_COUNT; week++) {
+            occurrences.push(new Date(current));
+            current.setDate(current.getDate() + 7);
+        }
+    }
+    return occurrences;
+}
+
+/**
+ * Encontra as aulas de uma disciplina que caem em dias sem aula.
+ * @param {Object} event - O objeto da aula.
+ * @param {Array<{date: string, name: string}>} nonTeachingDays - Os dias sem aula.
+ * @param {Date} [now] - A data de referência quando a turma não tem data de início.
+ * @returns {Array<{date: string, name: string}>} As datas puladas e o motivo.
+ */
+function getSkippedDates(event, nonTeachingDays, now = new Date()) {
+    if (!nonTeachingDays || nonTeachingDays.length === 0) return [];
+
+    const byDate = new Map(nonTeachingDays.map(day => [day.date, day]));
+    return getClassOccurrences(event, now)
+        .map(toIsoDateString)
+        .filter(date => byDate.has(date))
+        .map(date => byDate.get(date));
+}
+
+/**
+ * Restringe os dias sem aula ao intervalo coberto pelas aulas exportadas, para que
+ * os eventos de feriado não incluam semestres que não estão na grade.
+ * @param {Array<{date: string, name: string}>} nonTeachingDays - Os dias sem aula.
+ * @param {Array<Object>} events - As aulas exportadas.
+ * @param {Date} [now] - A data de referência quando a turma não tem data de início.
+ * @returns {Array<{date: string, name: string}>} Os dias dentro do intervalo.
+ */
+function filterDaysForSchedule(nonTeachingDays, events, now = new Date()) {
+    const dates = events.flatMap(event => getClassOccurrences(event, now)).map(toIsoDateString);
+    if (dates.length === 0) return [];
+
+    dates.sort();
+    const first = dates[0];
+    const last = dates[dates.length - 1];
+    return nonTeachingDays.filter(day => day.date >= first && day.date <= last);
+}
@@ -0,0 +1,128 @@
+/**
+ * @file assessments.js
+ * @description Encontra datas de provas, entregas e outras avaliações nas
+ * observações do oferecimento (campo "notes" das aulas extraídas) e as reúne num
+ * calendário de provas do semestre.
+ */
+
+/**
+ * Datas "dd/mm", "dd/mm/aa" ou "dd/mm/aaaa" citadas nas observações.
+ * @type {RegExp}
+ */
+const ASSESSMENT_DATE_PATTERN = /\b(\d{1,2})\/(\d{1,2})(?:\/(\d{4}|\d{2}))?\b/g;
+
+/**
+ * Horário logo após a data (ex: "às 10h", "10h30", "14:00").
+ * @type {RegExp}
+ */
+const ASSESSMENT_TIME_PATTERN = /^[\s,;(-]*(?:[àa]s\s*)?(\d{1,2})(?:h(\d{2})?|:(\d{2}))/i;
+
+/**
+ * Tamanho máximo do rótulo de uma avaliação.
+ * @type {number}
+ */
+const ASSESSMENT_LABEL_MAX_LENGTH = 80;
+
+/**
+ * Completa o ano de uma data citada sem ano (ou com dois dígitos). Sem ano, usa o
+ * do início da turma, passando para o ano seguinte se a data cair mais de um mês
+ * antes do início (turmas que atravessam a virada do ano).
+ * @param {number} day - O dia.
+ * @param {number} month - O mês (1 a 12).
+ * @param {?string} year - O ano escrito na observação, se houver.
+ * @param {Date} reference - O início da turma.
+ * @returns {?string} A data em AAAA-MM-DD, ou null se for inválida.
+ */
+function resolveAssessmentDate(day, month, year, reference) {
+    let fullYear = year ? parseInt(year, 10) : reference.getFullYear();
+    if (year && year.length === 2) fullYear += 2000;
+
+    let date = new Date(fullYear, month - 1, day);
+    if (date.getMonth() !== month - 1 || date.getDate() !== day) return null;
+
+    const monthBefore = new Date(reference);
+    monthBefore.setMonth(monthBefore.getMonth() - 1);
+    if (!year && date < monthBefore) date = new Date(fullYear + 1, month - 1, day);
+
+    return toIsoDateString(date);
+}
+
+/**
+ * Limpa o trecho de texto que descreve uma avaliação para usar como rótulo.
+ * @param {string} text - O trecho.
+ * @returns {string} O rótulo.
+ */
+function cleanAssessmentLabel(text) {
+    const label = text
+        .replace(ASSESSMENT_DATE_PATTERN, ' ')
+        .replace(/\s+/g, ' ')
+        .replace(/^[\s,;:.\-–(]+|[\s,;:\-–(]+$/g, '')
+        .replace(/\s+(em|no dia|dia|até|para|[àa]s)$/i, '')
+        .trim();
+    return label.length > ASSESSMENT_LABEL_MAX_LENGTH
+        ? `${label.substring(0, ASSESSMENT_LABEL_MAX_LENGTH - 1)}…`
+        : label;
+}
+
+/**
+ * Encontra as datas citadas nas observações de uma aula. Numa linha com várias
+ * datas (ex: "P1: 10/09, P2: 22/10"), o rótulo de cada uma é o texto entre a data
+ * anterior e ela.
+ * @param {Object} event - O objeto da aula.
+ * @param {Date} [now] - A referência de ano quando a turma não tem data de início.
+ * @returns {Array<{code: string, title: string, date: string, time: ?string, label: string, source: string}>}
+ * As avaliações encontradas.
+ */
+function findAssessmentDates(event, now = new Date()) {
+    const reference = event.startDate ? new Date(event.startDate) : now;
+    const found = [];
+
+    (event.notes || '').split('\n').map(line => line.trim()).filter(Boolean).forEach(line => {
+        // Cada data vai até o fim do horário que a acompanha, se houver
+        const matches = [...line.matchAll(ASSESSMENT_DATE_PATTERN)].map(match => {
+            const dateEnd = match.index + match[0].length;
+            const timeMatch = line.substring(dateEnd).match(ASSESSMENT_TIME_PATTERN);
+            const hours = timeMatch ? parseInt(timeMatch[1], 10) : NaN;
+            return {
+                match,
+                time: hours < 24 ? `${String(hours).padStart(2, '0')}:${timeMatch[2] || timeMatch[3] || '00'}` : null,
+                end: hours < 24 ? dateEnd + timeMatch[0].length : dateEnd
+            };
+        });
+
+        matches.forEach(({ match, time }, index) => {
+            const date = resolveAssessmentDate(
+                parseInt(match[1], 10), parseInt(match[2], 10), match[3], reference
+            );
+            if (!date) return;
+
+            const segmentStart = index === 0 ? 0 : matches[index - 1].end;
+            const label = cleanAssessmentLabel(line.substring(segmentStart, match.index)) ||
+                cleanAssessmentLabel(line) ||
+                'Data citada nas observações';
+
+            found.push({ code: event.code, title: event.title, date, time, label, source: line });
+        });
+    });
+    return found;
+}
+
+/**
+ * Reúne as avaliações de todas as aulas, sem repetir as que aparecem em mais de
+ * um horário da mesma disciplina, em ordem cronológica.
+ * @param {Array<Object>} events - As aulas.
+ * @param {Date} [now] - A referência de ano quando a turma não tem data de início.
+ * @returns {Array<Object>} As avaliações (ver findAssessmentDates).
+ */
+function collectAssessments(events, now = new Date()) {
+    const unique = new Map();
+    events.forEach(event => {
+        findAssessmentDates(event, now).forEach(assessment => {
+            const id = `${assessment.code}|${assessment.date}|${assessment.label}`;
+            if (!unique.has(id)) unique.set(id, assessment);
+        });
+    });
+    return [...unique.values()].sort((a, b) =>
+        a.date.localeCompare(b.date) || (a.time || '').localeCompare(b.time || '') || a.code.localeCompare(b.code)
+    );
+}
@@ -0,0 +1,149 @@
+/**
+ * @file caldav-sync.js
+ * @description Envia a grade para uma coleção CalDAV (Nextcloud, Fastmail,
+ * iCloud, Radicale...): cada aula vira um recurso "<UID>.ics" com o mesmo VEVENT
+ * do exportador .ics. As atualizações e remoções usam o ETag do servidor, para
+ * não sobrescrever um evento que foi alterado por outro cliente.
+ */
+
+/**
+ * Sufixo dos recursos criados pela extensão na coleção (o UID termina em
+ * "@calendarusp", ver buildEventUid). Só esses recursos são removidos.
+ * @type {RegExp}
+ */
+const CALDAV_RESOURCE_PATTERN = /@calendarusp\.ics$/;
+
+/**
+ * Garante que a URL da coleção termina com "/", como exige o CalDAV.
+ * @param {string} url - A URL informada pelo usuário.
+ * @returns {string} A URL normalizada.
+ */
+function normalizeCollectionUrl(url) {
+    const trimmed = (url || '').trim();
+    return trimmed.endsWith('/') ? trimmed : `${trimmed}/`;
+}
+
+/**
+ * Monta o cabeçalho de autenticação Basic, com usuário e senha em UTF-8.
+ * @param {string} username - O usuário.
+ * @param {string} password - A senha (de preferência uma senha de app).
+ * @returns {string} O valor do cabeçalho Authorization.
+ */
+function buildBasicAuthHeader(username, password) {
+    const bytes = new TextEncoder().encode(`${username}:${password}`);
+    return `Basic ${btoa(String.fromCharCode(...bytes))}`;
+}
+
+/**
+ * Cria um cliente mínimo de CalDAV.
+ * @param {Object} options - Configuração do cliente.
+ * @param {string} [options.username] - O usuário (sem ele, nenhuma autenticação é enviada).
+ * @param {string} [options.password] - A senha.
+ * @param {Function} [options.fetchImpl] - A implementação de fetch a usar.
+ * @returns {function(string, string, Object=): Promise<Response>} Função que faz
+ * uma requisição (método, URL, {headers, body}) e devolve a resposta sem tratá-la,
+ * já que o status e o ETag importam para quem chama.
+ */
+function createCalDavClient({ username = '', password = '', fetchImpl = fetch }) {
+    return (method, url, { headers = {}, body } = {}) => fetchImpl(url, {
+        method,
+        headers: username
+            ? { Authorization: buildBasicAuthHeader(username, password), ...headers }
+            : headers,
+        body,
+        credentials: 'omit'
+    });
+}
+
+/**
+ * Lista os recursos da coleção criados pela extensão, com seus ETags.
+ * @param {Function} request - O cliente criado por createCalDavClient.
+ * @param {string} collectionUrl - A URL da coleção.
+ * @returns {Promise<Map<string, string>>} Do nome do recurso ("<UID>.ics") para o ETag.
+ */
+async function listCalDavResources(request, collectionUrl) {
+    const response = await request('PROPFIND', collectionUrl, {
+        headers: { Depth: '1', 'Content-Type': 'application/xml; charset=utf-8' },
+        body: '<?xml version="1.0" encoding="utf-8"?>' +
+            '<d:propfind xmlns:d="DAV:"><d:prop><d:getetag/></d:prop></d:propfind>'
+    });
+    if (response.status !== 207) {
+        throw new Error(`O servidor CalDAV respondeu ${response.status} ao listar a coleção.`);
+    }
+
+    const xml = new DOMParser().parseFromString(await response.text(), 'application/xml');
+    const resources = new Map();
+    Array.from(xml.getElementsByTagNameNS('DAV:', 'response')).forEach(node => {
+        const href = node.getElementsByTagNameNS('DAV:', 'href')[0];
+        const etag = node.getElementsByTagNameNS('DAV:', 'getetag')[0];
+        if (!href) return;
+
+        const name = decodeURIComponent(href.textContent.trim().split('/').filter(Boolean).pop() || '');
+        if (CALDAV_RESOURCE_PATTERN.test(name)) {
+            resources.set(name, etag ? etag.textContent.trim() : '');
+        }
+    });
+    return resources;
+}
+
+/**
+ * Sincroniza a grade com a coleção: cria os recursos novos (If-None-Match: *),
+ * atualiza os existentes (If-Match com o ETag listado) e remove os que a extensão
+ * criou e que saíram da grade. Quando o ETag não confere (412), o recurso foi
+ * alterado por outro cliente e é deixado como está.
+ * @param {Array<Object>} events - As aulas a sincronizar.
+ * @param {Object} options - Opções de sincronização.
+ * @param {Function} options.request - O cliente criado por createCalDavClient.
+ * @param {string} options.collectionUrl - A URL da coleção.
+ * @param {Array<{date: string, name: string}>} [options.nonTeachingDays] - Os dias sem aula.
+ * @param {Object} [options.reminders] - As configurações de lembrete.
+ * @param {Date} [options.now] - A data de referência quando a turma não tem data de início.
+ * @returns {Promise<{created: number, updated: number, deleted: number, conflicts: Array<string>}>}
+ * O resumo, com os nomes dos recursos que não foram tocados por conflito de ETag.
+ */
+async function syncCalDavCollection(events, { request, collectionUrl, nonTeachingDays = [], reminders = null, now = new Date() }) {
+    const baseUrl = normalizeCollectionUrl(collectionUrl);
+    const existing = await listCalDavResources(request, baseUrl);
+    const summary = { created: 0, updated: 0, deleted: 0, conflicts: [] };
+
+    for (const event of events) {
+        const name = `${buildEventUid(event)}.ics`;
+        const etag = existing.get(name);
+        existing.delete(name);
+
+        const response = await request('PUT', `${baseUrl}${encodeURIComponent(name)}`, {
+            headers: {
+                'Content-Type': 'text/calendar; charset=utf-8',
+                ...(etag ? { 'If-Match': etag } : { 'If-None-Match': '*' })
+            },
+            body: buildIcsCalendar([event], { now, nonTeachingDays, reminders })
+        });
+
+        if (response.status === 412) {
+            summary.conflicts.push(name);
+        } else if (!response.ok) {
+            throw new Error(`O servidor CalDAV respondeu ${response.status} ao gravar ${name}.`);
+        } else if (etag) {
+            summary.updated++;
+        } else {
+            summary.created++;
+        }
+    }
+
+    // O que sobrou foi criado pela extensão e saiu da grade
+    for (const [name, etag] of existing) {
+        const response = await request('DELETE', `${baseUrl}${encodeURIComponent(name)}`, {
+            headers: etag ? { 'If-Match': etag } : {}
+        });
+
+        if (response.status === 412) {
+            summary.conflicts.push(name);
+        } else if (!response.ok && response.status !== 404) {
+            throw new Error(`O servidor CalDAV respondeu ${response.status} ao remover ${name}.`);
+        } else {
+            summary.deleted++;
+        }
+    }
+
+    return summary;
+}
@@ -0,0 +1,73 @@
+/**
+ * @file calendar-links.js
+ * @description Links rápidos de cada aula no popup: o link de composição do Google
+ * Agenda (com recorrência e feriados pulados) e o .ics de uma aula só, usado pelo
+ * botão do Outlook.
+ */
+
+/**
+ * Formata uma data "YYYY-MM-DD" como "DD/MM" para exibição.
+ * @param {string} isoDate - A data a ser formatada.
+ * @returns {string} A data curta.
+ */
+function formatShortDate(isoDate) {
+    const [, month, day] = isoDate.split('-');
+    return `${day}/${month}`;
+}
+
+/**
+ * Cria um link para adicionar um evento recorrente ao Google Agenda.
+ * @param {Object} event - O objeto da aula.
+ * @param {Date} firstDate - A data da primeira ocorrência da aula.
+ * @param {Array<{date: string, name: string}>} [skippedDates] - As aulas que caem em dias sem aula.
+ * @returns {string} A URL completa para o Google Agenda.
+ */
+function createGoogleCalendarLink(event, firstDate, skippedDates = []) {
+    const baseUrl = 'https://www.google.com/calendar/render?action=TEMPLATE';
+    const title = encodeURIComponent(event.title);
+    const details = encodeURIComponent(event.description);
+    const location = encodeURIComponent(event.location);
+    const startDateTime = formatDateTimeForCalendar(firstDate, event.startTime);
+    const endDateTime = formatDateTimeForCalendar(firstDate, event.endTime);
+    const dayInitial = getDayInitial(event.day);
+
+    let rrule = `FREQ=WEEKLY;BYDAY=${dayInitial}`;
+
+    // Se tiver data de fim, usa UNTIL
+    if (event.endDate) {
+        // Google Calendar via URL aceita YYYYMMDD para UNTIL
+        const endD = new Date(event.endDate);
+        const y = endD.getFullYear();
+        const m = (endD.getMonth() + 1).toString().padStart(2, '0');
+        const d = endD.getDate().toString().padStart(2, '0');
+        // Adiciona um dia de margem ou define horário final do dia para garantir inclusão
+        rrule += `;UNTIL=${y}${m}${d}T235959Z`;
+    } else {
+        rrule += `;COUNT=18`;
+    }
+
+    let recur = `RRULE:${rrule}`;
+    if (skippedDates.length > 0) {
+        const exdates = skippedDates.map(day =>
+            formatDateTimeForCalendar(new Date(`${day.date}T00:00:00`), event.startTime)
+        );
+        recur += `\nEXDATE;TZID=America/Sao_Paulo:${exdates.join(',')}`;
+    }
+
+    return `${baseUrl}&text=${title}&dates=${startDateTime}/${endDateTime}&details=${details}&location=${location}&ctz=America/Sao_Paulo&recur=${encodeURIComponent(recur)}`;
+}
+
+/**
+ * Monta o .ics com uma única aula recorrente para abrir no Outlook. O link de
+ * composição do Outlook na web não aceita regra de recorrência, então o arquivo
+ * é o caminho que leva a aula semanal completa (com feriados pulados e lembrete).
+ * @param {Object} event - O objeto da aula, já com as edições do usuário.
+ * @param {Object} [options] - As opções de buildIcsCalendar (nonTeachingDays, reminders, now).
+ * @returns {{content: string, filename: string}} O conteúdo e o nome sugerido do arquivo.
+ */
+function buildOutlookEventFile(event, options = {}) {
+    return {
+        content: buildIcsCalendar([event], options),
+        filename: `${event.code}_${getDayInitial(event.day)}_${event.startTime.replace(':', '')}.ics`
+    };
+}
@@ -0,0 +1,109 @@
+/**
+ * @file conflicts.js
+ * @description Detecta aulas que se sobrepõem (mesmo dia, horários que se cruzam
+ * e períodos letivos que coincidem) e aplica a escolha do usuário para cada
+ * conflito: manter uma das aulas ou exportar as duas com um aviso.
+ */
+
+/**
+ * Valor de resolução que mantém as duas aulas no calendário, com aviso na descrição.
+ * @type {string}
+ */
+const CONFLICT_KEEP_BOTH = 'both';
+
+/**
+ * Verifica se os períodos letivos de duas aulas se cruzam. Datas ausentes são
+ * tratadas como ilimitadas, já que não dá para descartar a sobreposição.
+ * @param {Object} a - Uma aula.
+ * @param {Object} b - Outra aula.
+ * @returns {boolean} true se os períodos se cruzam.
+ */
+function dateRangesOverlap(a, b) {
+    const startA = a.startDate ? new Date(a.startDate).getTime() : -Infinity;
+    const endA = a.endDate ? new Date(a.endDate).getTime() : Infinity;
+    const startB = b.startDate ? new Date(b.startDate).getTime() : -Infinity;
+    const endB = b.endDate ? new Date(b.endDate).getTime() : Infinity;
+    return startA <= endB && startB <= endA;
+}
+
+/**
+ * Verifica se duas aulas acontecem ao mesmo tempo em algum momento do semestre.
+ * Horários "HH:MM" são comparados como texto; aulas que só se encostam (uma
+ * termina quando a outra começa) não conflitam.
+ * @param {Object} a - Uma aula.
+ * @param {Object} b - Outra aula.
+ * @returns {boolean} true se há sobreposição.
+ */
+function eventsOverlap(a, b) {
+    return a.day === b.day &&
+        a.startTime < b.endTime &&
+        b.startTime < a.endTime &&
+        dateRangesOverlap(a, b);
+}
+
+/**
+ * Identifica um conflito pelo par de aulas, independentemente da ordem.
+ * @param {string} keyA - A chave de uma aula.
+ * @param {string} keyB - A chave da outra aula.
+ * @returns {string} O identificador do conflito.
+ */
+function getConflictId(keyA, keyB) {
+    return [keyA, keyB].sort().join('|');
+}
+
+/**
+ * Encontra todos os pares de aulas que se sobrepõem.
+ * @param {Array<{key: string, event: Object}>} items - As aulas a analisar.
+ * @returns {Array<{id: string, a: {key: string, event: Object}, b: {key: string, event: Object}}>}
+ * Os conflitos encontrados.
+ */
+function findScheduleConflicts(items) {
+    const conflicts = [];
+    for (let i = 0; i < items.length; i++) {
+        for (let j = i + 1; j < items.length; j++) {
+            if (eventsOverlap(items[i].event, items[j].event)) {
+                conflicts.push({ id: getConflictId(items[i].key, items[j].key), a: items[i], b: items[j] });
+            }
+        }
+    }
+    return conflicts;
+}
+
+/**
+ * Aplica as escolhas do usuário aos conflitos: remove a aula preterida ou, quando
+ * as duas são mantidas (o padrão), acrescenta um aviso "CONFLITO" à descrição de
+ * cada uma.
+ * @param {Array<{key: string, event: Object}>} items - As aulas a exportar.
+ * @param {Object<string, string>} resolutions - Por conflito, a chave da aula
+ * vencedora ou CONFLICT_KEEP_BOTH.
+ * @returns {Array<{key: string, event: Object}>} As aulas após a resolução.
+ */
+function resolveScheduleConflicts(items, resolutions) {
+    const conflicts = findScheduleConflicts(items);
+    const losers = new Set();
+
+    conflicts.forEach(conflict => {
+        const winner = resolutions[conflict.id];
+        if (winner === conflict.a.key) losers.add(conflict.b.key);
+        if (winner === conflict.b.key) losers.add(conflict.a.key);
+    });
+
+    const notes = new Map();
+    conflicts
+        .filter(conflict => !losers.has(conflict.a.key) && !losers.has(conflict.b.key))
+        .forEach(conflict => {
+            [[conflict.a, conflict.b], [conflict.b, conflict.a]].forEach(([item, other]) => {
+                const note = `CONFLITO: sobrepõe ${other.event.code} - ${other.event.title} ` +
+                    `(${other.event.day} ${other.event.startTime}-${other.event.endTime})`;
+                notes.set(item.key, [...(notes.get(item.key) || []), note]);
+            });
+        });
+
+    return items
+        .filter(item => !losers.has(item.key))
+        .map(item => {
+            if (!notes.has(item.key)) return item;
+            const description = [item.event.description, ...notes.get(item.key)].filter(Boolean).join('\n');
+            return { key: item.key, event: { ...item.event, description } };
+        });
+}
@@ -1,18 +1,11 @@
 /**
  * @file content.js
  * @description Script injetado na página de grade horária do JúpiterWeb (USP) para
- * extrair as informações das disciplinas e seus respectivos horários.
+ * extrair as informações das disciplinas e seus respectivos horários. A leitura do
+ * DOM fica em schedule-parser.js, injetado antes; aqui ficam a interação com a
+ * página (cliques, requisições pela page-bridge.js) e a conversa com o popup.
  */
 
-/**
- * Mapeia as abreviações dos dias da semana para os nomes completos em português.
- * @type {Object<string, string>}
- */
-const dayMap = {
-    'Seg': 'Segunda-feira', 'Ter': 'Terça-feira', 'Qua': 'Quarta-feira',
-    'Qui': 'Quinta-feira', 'Sex': 'Sexta-feira', 'Sab': 'Sábado', 'Dom': 'Domingo'
-};
-
 /**
  * Aguarda um elemento aparecer no DOM. Útil para esperar por conteúdo
  * que é carregado dinamicamente.
@@ -37,175 +30,542 @@ function waitForElement(selector, timeout = 5000) {
 }
 
 /**
- * Extrai os dados da tabela de grade horária de forma robusta, em duas etapas,
- * para evitar erros de condição de corrida.
- * @returns {Promise<{success: boolean, data: Array<Object>}>} Um objeto com o status
- * e os dados das aulas extraídas.
+ * Abre os detalhes de uma disciplina pela interface do Júpiter (clicando na grade
+ * e na aba Oferecimento) e lê o painel. É o caminho mais lento, usado para a
+ * primeira disciplina e quando a busca direta não funciona.
+ * @param {Element} classSpan - O span da disciplina na grade.
+ * @param {string} disciplineCode - O código da disciplina.
+ * @returns {Promise<Object>} Os detalhes da disciplina.
+ */
+async function readDetailsByClick(classSpan, disciplineCode) {
+    classSpan.click();
+
+    const detailsPanel = await waitForElement('#tab_detalhes');
+    await new Promise(r => setTimeout(r, 300));
+    if (!detailsPanel) return readDisciplineDetails(document.createElement('div'), disciplineCode);
+
+    // Clica na aba Oferecimento
+    const oferTabLink = detailsPanel.querySelector('a[href="#div_oferecimento"]');
+    if (oferTabLink) {
+        oferTabLink.click();
+        await new Promise(r => setTimeout(r, 200));
+    }
+    return readDisciplineDetails(detailsPanel, disciplineCode);
+}
+
+/**
+ * Número de disciplinas buscadas ao mesmo tempo no caminho direto.
+ * @type {number}
+ */
+const DETAILS_FETCH_CONCURRENCY = 4;
+
+/**
+ * Tempo máximo de espera por uma requisição repetida pela página.
+ * @type {number}
+ */
+const DETAILS_FETCH_TIMEOUT = 15000;
+
+/**
+ * Pede a page-bridge.js (no contexto da página) que repita uma requisição com a
+ * sessão do usuário.
+ * @param {{method: string, url: string, body: ?string, headers: Object}} request - A requisição.
+ * @returns {Promise<string>} O corpo da resposta.
+ */
+function fetchFromPage(request) {
+    return new Promise((resolve, reject) => {
+        const id = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+        const timer = setTimeout(() => {
+            window.removeEventListener('calendarusp:fetched', onFetched);
+            reject(new Error(`Tempo esgotado ao buscar ${request.url}`));
+        }, DETAILS_FETCH_TIMEOUT);
+
+        function onFetched(e) {
+            const detail = JSON.parse(e.detail);
+            if (detail.id !== id) return;
+            clearTimeout(timer);
+            window.removeEventListener('calendarusp:fetched', onFetched);
+            if (detail.error || detail.status !== 200) {
+                reject(new Error(detail.error || `O Júpiter respondeu ${detail.status} em ${request.url}`));
+            } else {
+                resolve(detail.text);
+            }
+        }
+
+        window.addEventListener('calendarusp:fetched', onFetched);
+        window.dispatchEvent(new CustomEvent('calendarusp:fetch', { detail: JSON.stringify({ id, ...request }) }));
+    });
+}
+
+/**
+ * Lista os atributos data-* de um span de disciplina (ex: data-disciplina), que
+ * são os valores trocados ao adaptar uma requisição para outra disciplina.
+ * @param {Element} span - O span da disciplina.
+ * @returns {Object<string, string>} Os valores por nome de atributo.
  */
-function parsePtDate(dateString) {
-    if (!dateString) return null;
-    const parts = dateString.split('/');
-    if (parts.length === 3) {
-        return new Date(`${parts[2]}-${parts[1]}-${parts[0]}T00:00:00`);
+function getSpanIdentifiers(span) {
+    const identifiers = {};
+    for (const attribute of span.attributes) {
+        if (attribute.name.startsWith('data-') && attribute.value.trim()) {
+            identifiers[attribute.name] = attribute.value;
+        }
     }
+    return identifiers;
+}
+
+/**
+ * Troca, numa lista de parâmetros, os valores que são exatamente um identificador
+ * da disciplina original pelo identificador correspondente da nova. Parâmetros em
+ * que o identificador só aparece como parte do valor ficam como estão.
+ * @param {URLSearchParams} params - Os parâmetros.
+ * @param {Map<string, string>} replacements - Do valor original para o novo.
+ * @returns {?URLSearchParams} Os parâmetros trocados, ou null se nenhum valor bateu.
+ */
+function swapParamValues(params, replacements) {
+    const entries = [...params];
+    if (!entries.some(([, value]) => replacements.has(value))) return null;
+    return new URLSearchParams(entries.map(([name, value]) => [name, replacements.has(value) ? replacements.get(value) : value]));
+}
+
+/**
+ * Diz se o corpo de uma requisição é um formulário (application/x-www-form-urlencoded).
+ * @param {Object} request - A requisição capturada.
+ * @returns {boolean} true se o corpo pode ser lido com URLSearchParams.
+ */
+function isFormBody(request) {
+    if (!request.body) return false;
+    const typeHeader = Object.keys(request.headers || {}).find(name => name.toLowerCase() === 'content-type');
+    if (typeHeader) return request.headers[typeHeader].toLowerCase().includes('application/x-www-form-urlencoded');
+    return /^[^=&\s]+=[^&]*(&[^=&\s]+=[^&]*)*$/.test(request.body);
+}
+
+/**
+ * Adapta uma requisição capturada para outra disciplina: nos parâmetros da URL e
+ * do corpo (quando é um formulário), os valores iguais a um identificador da
+ * disciplina original passam a ser o identificador da nova.
+ * @param {Object} request - A requisição capturada.
+ * @param {Object<string, string>} from - Os identificadores da disciplina original.
+ * @param {Object<string, string>} to - Os identificadores da nova disciplina.
+ * @returns {Object} A requisição adaptada.
+ */
+function adaptRequest(request, from, to) {
+    const replacements = new Map(Object.keys(from).filter(name => to[name]).map(name => [from[name], to[name]]));
+
+    const url = new URL(request.url);
+    const query = swapParamValues(url.searchParams, replacements);
+    if (query) url.search = query.toString();
+
+    const form = isFormBody(request) ? swapParamValues(new URLSearchParams(request.body), replacements) : null;
+
+    return {
+        method: request.method,
+        url: query ? url.href : request.url,
+        body: form ? form.toString() : request.body,
+        headers: request.headers
+    };
+}
+
+/**
+ * Converte uma data em "dd/mm/aaaa" ou ISO 8601 (como pode vir num JSON do Júpiter).
+ * @param {*} value - O valor.
+ * @returns {Date|null} A data à meia-noite local, ou null.
+ */
+function parseAnyDate(value) {
+    if (typeof value !== 'string') return null;
+    const text = value.trim();
+    if (/^\d{2}\/\d{2}\/\d{4}/.test(text)) return parsePtDate(text.substring(0, 10));
+    if (/^\d{4}-\d{2}-\d{2}/.test(text)) return new Date(`${text.substring(0, 10)}T00:00:00`);
     return null;
 }
 
-function normalizeDayName(dayStr) {
-    if (!dayStr) return "";
-    const clean = dayStr.trim().toLowerCase().substring(0, 3);
-    const capitalized = clean.charAt(0).toUpperCase() + clean.slice(1);
-    return dayMap[capitalized] || capitalized;
+/**
+ * Compara dois conjuntos de detalhes nos campos que viram eventos.
+ * @param {Object} a - Uns detalhes.
+ * @param {Object} b - Outros detalhes.
+ * @returns {boolean} true se forem equivalentes.
+ */
+function sameDetails(a, b) {
+    const dateKey = date => (date ? date.getTime() : null);
+    return a.title === b.title &&
+        dateKey(a.startDate) === dateKey(b.startDate) &&
+        dateKey(a.endDate) === dateKey(b.endDate) &&
+        a.turma === b.turma &&
+        JSON.stringify(a.offeringRows.map(row => [row.day, row.startTime, row.endTime, row.professor, dateKey(row.startDate), dateKey(row.endDate)])) ===
+        JSON.stringify(b.offeringRows.map(row => [row.day, row.startTime, row.endTime, row.professor, dateKey(row.startDate), dateKey(row.endDate)]));
 }
 
 /**
- * Função auxiliar para buscar texto ignorando elementos vazios (templates ocultos)
+ * Lista os valores simples de um JSON com o caminho até cada um.
+ * @param {*} value - O JSON.
+ * @param {Array<string|number>} [path] - O caminho até aqui.
+ * @param {Array<{path: Array, value: *}>} [entries] - O acumulador.
+ * @returns {Array<{path: Array, value: *}>} Os valores e caminhos.
  */
-function getTextFromSelectors(container, selector) {
-    const elements = container.querySelectorAll(selector);
-    for (const el of elements) {
-        const text = el.innerText.trim();
-        if (text) return text; // Retorna o primeiro que tiver conteúdo
+function flattenJson(value, path = [], entries = []) {
+    if (Array.isArray(value)) {
+        value.forEach((item, index) => flattenJson(item, [...path, index], entries));
+    } else if (value && typeof value === 'object') {
+        Object.keys(value).forEach(key => flattenJson(value[key], [...path, key], entries));
+    } else {
+        entries.push({ path, value });
     }
-    return "";
+    return entries;
+}
+
+/**
+ * Lê um valor de um JSON pelo caminho.
+ * @param {*} value - O JSON.
+ * @param {Array<string|number>} path - O caminho.
+ * @returns {*} O valor, ou undefined.
+ */
+function getJsonPath(value, path) {
+    return path.reduce((current, key) => (current == null ? undefined : current[key]), value);
 }
 
-async function extractSchedule() {
-    const scheduleTable = document.querySelector('table#tableGradeHoraria');
-    const headerContainer = document.querySelector('.ui-jqgrid-hdiv .jqg-third-row-header');
+/**
+ * Aprende, comparando com os detalhes lidos na tela, onde cada informação fica
+ * nas respostas JSON do Júpiter. Não supõe nomes de campos: procura os valores
+ * que a tela mostrou.
+ * @param {*} json - As respostas JSON da primeira disciplina.
+ * @param {Object} expected - Os detalhes lidos na tela para a mesma disciplina.
+ * @returns {Object|null} O mapeamento aprendido, ou null se algo não foi encontrado.
+ */
+function learnJsonMapping(json, expected) {
+    const entries = flattenJson(json);
+    const findPath = test => {
+        const entry = entries.find(candidate => test(candidate.value));
+        return entry ? entry.path : null;
+    };
+    const sameDate = date => value => date && parseAnyDate(value) && parseAnyDate(value).getTime() === date.getTime();
+    const sameText = text => value => text && String(value).trim() === text;
 
-    if (!scheduleTable || !headerContainer) {
-        console.error("CalendarUSP: Tabela de grade horária (#tableGradeHoraria) ou seu cabeçalho não foram encontrados.");
-        return { success: false, data: [] };
+    const mapping = {
+        title: findPath(sameText(expected.title)),
+        startDate: expected.startDate ? findPath(sameDate(expected.startDate)) : null,
+        endDate: expected.endDate ? findPath(sameDate(expected.endDate)) : null,
+        turma: expected.turma ? findPath(sameText(expected.turma)) : null,
+        location: expected.location ? findPath(sameText(expected.location)) : null,
+        notes: expected.notes.length > 0 ? findPath(value => typeof value === 'string' && value.includes(expected.notes[0])) : null,
+        rows: null
+    };
+    if (!mapping.title || (expected.startDate && !mapping.startDate) || (expected.endDate && !mapping.endDate)) {
+        return null;
     }
 
-    const headerCells = headerContainer.querySelectorAll('th');
-    const daysOfWeek = Array.from(headerCells)
-        .slice(2)
-        .map(th => {
-            const dayAbbreviation = th.querySelector('div').innerText.trim();
-            return dayMap[dayAbbreviation] || dayAbbreviation;
-        });
+    if (expected.offeringRows.length > 0) {
+        const first = expected.offeringRows[0];
+        const rowEntry = entries.find(entry =>
+            typeof entry.path[entry.path.length - 2] === 'number' && String(entry.value).trim() === first.startTime
+        );
+        if (!rowEntry) return null;
 
-    const dataRows = scheduleTable.querySelectorAll('.ui-jqgrid-bdiv tbody tr.jqgrow');
-    if (dataRows.length === 0) {
-        console.error("CalendarUSP: Tabela encontrada, mas sem linhas de dados (tr.jqgrow).");
-        return { success: false, data: [] };
+        const arrayPath = rowEntry.path.slice(0, -2);
+        const rows = getJsonPath(json, arrayPath);
+        const firstRow = rows[rowEntry.path[rowEntry.path.length - 2]];
+        const keyFor = test => Object.keys(firstRow).find(key => test(firstRow[key]));
+        const keys = {
+            day: keyFor(value => normalizeDayName(String(value)) === first.day),
+            startTime: rowEntry.path[rowEntry.path.length - 1],
+            endTime: keyFor(value => String(value).trim() === first.endTime),
+            professor: keyFor(value => String(value).trim() === first.professor),
+            location: first.location ? keyFor(value => String(value).trim() === first.location) : null,
+            startDate: first.startDate ? keyFor(sameDate(first.startDate)) : null,
+            endDate: first.endDate ? keyFor(sameDate(first.endDate)) : null
+        };
+        if (!keys.day || !keys.endTime) return null;
+        mapping.rows = { path: arrayPath, keys };
     }
 
-    const disciplineSlots = {};
-    const disciplineSpans = {};
+    return sameDetails(applyJsonMapping(json, mapping), expected) ? mapping : null;
+}
 
-    // 1ª Etapa: Coleta inicial da grade visual
-    for (const row of dataRows) {
-        const cells = row.querySelectorAll('td');
-        if (cells.length < 2) continue;
-
-        const startTime = cells[0].innerText.trim();
-        const endTime = cells[1].innerText.trim();
-
-        for (let i = 2; i < cells.length; i++) {
-            const cell = cells[i];
-            const classSpan = cell.querySelector('span[data-disciplina]');
-
-            if (classSpan) {
-                const disciplineCode = classSpan.getAttribute('data-disciplina');
-                if (!disciplineSlots[disciplineCode]) {
-                    disciplineSlots[disciplineCode] = [];
-                    disciplineSpans[disciplineCode] = classSpan;
-                }
-                disciplineSlots[disciplineCode].push({
-                    day: daysOfWeek[i - 2],
-                    startTime: startTime,
-                    endTime: endTime
-                });
-            }
+/**
+ * Monta os detalhes de uma disciplina a partir das respostas JSON, com o
+ * mapeamento aprendido em learnJsonMapping.
+ * @param {*} json - As respostas JSON da disciplina.
+ * @param {Object} mapping - O mapeamento.
+ * @returns {Object} Os detalhes da disciplina.
+ */
+function applyJsonMapping(json, mapping) {
+    const read = path => (path ? getJsonPath(json, path) : undefined);
+    const text = path => (read(path) == null ? "" : String(read(path)).trim());
+    const rows = mapping.rows ? read(mapping.rows.path) || [] : [];
+    const { keys } = mapping.rows || {};
+
+    return {
+        title: text(mapping.title),
+        startDate: parseAnyDate(read(mapping.startDate)),
+        endDate: parseAnyDate(read(mapping.endDate)),
+        turma: text(mapping.turma),
+        location: text(mapping.location),
+        notes: text(mapping.notes).split(/\n+/).map(line => line.trim()).filter(Boolean),
+        offeringRows: (Array.isArray(rows) ? rows : Object.values(rows)).map(row => ({
+            day: normalizeDayName(String(row[keys.day] || "")),
+            startTime: String(row[keys.startTime] || "").trim(),
+            endTime: String(row[keys.endTime] || "").trim(),
+            professor: keys.professor ? String(row[keys.professor] || "").trim() : "",
+            location: keys.location ? String(row[keys.location] || "").trim() : "",
+            startDate: keys.startDate ? parseAnyDate(row[keys.startDate]) : null,
+            endDate: keys.endDate ? parseAnyDate(row[keys.endDate]) : null
+        }))
+    };
+}
+
+/**
+ * Interpreta as respostas de uma disciplina: as em JSON viram uma lista, e as em
+ * HTML são juntadas num só documento.
+ * @param {Array<string>} texts - Os corpos das respostas.
+ * @returns {{json: Array<*>, html: ?Document}} As respostas interpretadas.
+ */
+function parseResponses(texts) {
+    const json = [];
+    const html = [];
+    texts.forEach(text => {
+        try {
+            json.push(JSON.parse(text));
+        } catch (error) {
+            html.push(text);
         }
+    });
+    return {
+        json,
+        html: html.length > 0 ? new DOMParser().parseFromString(html.join('\n'), 'text/html') : null
+    };
+}
+
+/**
+ * Descobre como buscar os detalhes de qualquer disciplina a partir das requisições
+ * que a interface do Júpiter fez ao abrir a primeira: só valem as que citam a
+ * disciplina, e o resultado precisa bater com o que a tela mostrou.
+ * @param {Array<Object>} captured - As requisições capturadas por page-bridge.js.
+ * @param {Element} span - O span da primeira disciplina.
+ * @param {string} disciplineCode - O código da primeira disciplina.
+ * @param {Object} expected - Os detalhes lidos na tela.
+ * @returns {Object|null} A receita ({templates, identifiers, parse}) ou null.
+ */
+function learnDetailsRecipe(captured, span, disciplineCode, expected) {
+    const identifiers = getSpanIdentifiers(span);
+    const templates = captured.filter(request =>
+        request.status === 200 &&
+        request.responseText &&
+        `${request.url}\n${request.body || ""}`.includes(disciplineCode)
+    );
+    if (templates.length === 0) return null;
+
+    const { json, html } = parseResponses(templates.map(request => request.responseText));
+    if (html && sameDetails(readDisciplineDetails(html, disciplineCode), expected)) {
+        return { templates, identifiers, parse: texts => readDisciplineDetails(parseResponses(texts).html, disciplineCode) };
     }
 
-    const finalEvents = [];
+    const mapping = json.length > 0 ? learnJsonMapping(json, expected) : null;
+    if (mapping) {
+        return { templates, identifiers, parse: texts => applyJsonMapping(parseResponses(texts).json, mapping) };
+    }
+    return null;
+}
+
+/**
+ * Executa uma função assíncrona para cada item, com no máximo `limit` ao mesmo tempo.
+ * @param {Array<*>} items - Os itens.
+ * @param {number} limit - O paralelismo máximo.
+ * @param {function(*): Promise<void>} worker - A função.
+ * @returns {Promise<void>}
+ */
+async function forEachWithConcurrency(items, limit, worker) {
+    const queue = [...items];
+    const runners = Array.from({ length: Math.min(limit, queue.length) }, async () => {
+        while (queue.length > 0) await worker(queue.shift());
+    });
+    await Promise.all(runners);
+}
 
-    // 2ª Etapa: Abrir detalhes para pegar datas reais e professores
-    for (const disciplineCode in disciplineSpans) {
-        const classSpan = disciplineSpans[disciplineCode];
-        classSpan.click(); 
+/**
+ * Obtém os detalhes de todas as disciplinas. A primeira é aberta pela interface,
+ * enquanto page-bridge.js registra as requisições feitas; as demais são buscadas
+ * em paralelo com as mesmas requisições, adaptadas para cada disciplina. O que não
+ * der para buscar assim (página sem a ponte, resposta diferente da esperada) cai
+ * no caminho por cliques.
+ * @param {Object<string, Element>} disciplineSpans - O span de cada disciplina.
+ * @param {Object<string, Array<Object>>} disciplineSlots - Os horários de cada disciplina na grade.
+ * @param {Object} options - Controle da extração.
+ * @param {AbortSignal} options.signal - Interrompe a busca quando o popup cancela.
+ * @param {function(Object): void} options.onProgress - Chamada a cada disciplina concluída.
+ * @returns {Promise<Object<string, Object>>} Os detalhes por código.
+ */
+async function collectDisciplineDetails(disciplineSpans, disciplineSlots, { signal, onProgress }) {
+    const codes = Object.keys(disciplineSpans);
+    const detailsByCode = {};
+    if (codes.length === 0) return detailsByCode;
 
-        const detailsPanel = await waitForElement('#tab_detalhes');
-        await new Promise(r => setTimeout(r, 300));
+    let done = 0;
+    const finish = (code, details) => {
+        detailsByCode[code] = details;
+        onProgress({ current: ++done, total: codes.length, code });
+    };
 
-        let fullDisciplineName = disciplineCode;
-        let startDate = null;
-        let endDate = null;
-        let location = "";
-        const specificProfMap = {};
+    const [firstCode, ...otherCodes] = codes;
+    const captured = [];
+    const onCaptured = e => captured.push(JSON.parse(e.detail));
+    window.addEventListener('calendarusp:captured', onCaptured);
+    try {
+        finish(firstCode, await readDetailsByClick(disciplineSpans[firstCode], firstCode));
+    } finally {
+        window.removeEventListener('calendarusp:captured', onCaptured);
+    }
+    signal.throwIfAborted();
 
-        if (detailsPanel) {
-            const nameElement = detailsPanel.querySelector('.nomdis');
-            if (nameElement) fullDisciplineName = nameElement.innerText.trim();
+    const recipe = learnDetailsRecipe(captured, disciplineSpans[firstCode], firstCode, detailsByCode[firstCode]);
+    const pending = recipe ? [] : otherCodes;
 
-            // Clica na aba Oferecimento
-            const oferTabLink = detailsPanel.querySelector('a[href="#div_oferecimento"]');
-            if (oferTabLink) {
-                oferTabLink.click();
-                await new Promise(r => setTimeout(r, 200));
-            }
+    if (recipe) {
+        await forEachWithConcurrency(otherCodes, DETAILS_FETCH_CONCURRENCY, async code => {
+            signal.throwIfAborted();
+            try {
+                const target = getSpanIdentifiers(disciplineSpans[code]);
+                const texts = await Promise.all(recipe.templates.map(template =>
+                    fetchFromPage(adaptRequest(template, recipe.identifiers, target))
+                ));
+                signal.throwIfAborted();
+                const details = recipe.parse(texts);
 
-            const divOferecimento = detailsPanel.querySelector('#div_oferecimento');
-            
-            if (divOferecimento) {
-                // CORREÇÃO AQUI: Usa a função auxiliar para ignorar o template vazio
-                const startStr = getTextFromSelectors(divOferecimento, '.dtainitur');
-                const endStr = getTextFromSelectors(divOferecimento, '.dtafimtur');
-                
-                startDate = parsePtDate(startStr);
-                endDate = parsePtDate(endStr);
-
-                // Mapeamento de professores
-                const rowsHorarios = divOferecimento.querySelectorAll('.horarios tbody tr');
-                rowsHorarios.forEach(row => {
-                    const cols = row.querySelectorAll('td');
-                    if (cols.length >= 4) {
-                        const rawDay = cols[0].innerText;
-                        const dayFull = normalizeDayName(rawDay);
-                        const startTxt = cols[1].innerText.trim();
-                        const profName = cols[3].innerText.trim();
-                        
-                        const key = `${dayFull}-${startTxt}`;
-                        specificProfMap[key] = profName;
-                    }
-                });
+                // Só aceita se a resposta é da disciplina pedida (uma resposta que
+                // ignora os parâmetros repete a primeira) e se a tabela do
+                // oferecimento cobre os horários da grade
+                const ownDetails = details.title.includes(code) || details.title !== detailsByCode[firstCode].title;
+                const coversGrid = details.offeringRows.length === 0
+                    ? detailsByCode[firstCode].offeringRows.length === 0
+                    : disciplineSlots[code].every(slot => findOfferingRow(details.offeringRows, slot));
+                if (ownDetails && coversGrid) {
+                    finish(code, details);
+                    return;
+                }
+            } catch (error) {
+                if (signal.aborted) throw error;
+                console.warn(`CalendarUSP: Busca direta de ${code} falhou; usando a interface.`, error);
             }
-        }
-
-        const slots = disciplineSlots[disciplineCode];
-        
-        slots.forEach(slot => {
-            const lookupKey = `${slot.day}-${slot.startTime}`;
-            const specificProf = specificProfMap[lookupKey] || "Docente não informado";
-
-            finalEvents.push({
-                title: fullDisciplineName,
-                code: disciplineCode,
-                day: slot.day,
-                startTime: slot.startTime,
-                endTime: slot.endTime,
-                location: location, 
-                startDate: startDate ? startDate.toISOString() : null,
-                endDate: endDate ? endDate.toISOString() : null,
-                professors: specificProf,
-                description: `Disciplina: ${disciplineCode}\nProfessor(a): ${specificProf}`
-            });
+            pending.push(code);
         });
+    } else if (otherCodes.length > 0) {
+        console.warn("CalendarUSP: Não foi possível aprender a requisição de detalhes; usando a interface.");
     }
 
-    return { success: true, data: finalEvents };
+    // Caminho por cliques, um de cada vez, para o que sobrou
+    for (const code of codes.filter(candidate => pending.includes(candidate))) {
+        signal.throwIfAborted();
+        finish(code, await readDetailsByClick(disciplineSpans[code], code));
+    }
+    return detailsByCode;
+}
+
+/**
+ * Guarda o estado do painel de detalhes antes da extração, para que ele possa ser
+ * fechado de novo se a extração for cancelada.
+ * @returns {{panel: ?Element, wasVisible: boolean, display: string}} O estado.
+ */
+function capturePageState() {
+    const panel = document.querySelector('#tab_detalhes');
+    return {
+        panel,
+        wasVisible: Boolean(panel && panel.offsetParent !== null),
+        display: panel ? panel.style.display : ""
+    };
 }
 
 /**
- * Adiciona um listener para receber e responder a mensagens do popup da extensão.
+ * Devolve a página ao estado anterior à extração: se o painel de detalhes estava
+ * fechado, fecha-o pelo botão da própria página (ou o esconde, se não houver botão).
+ * @param {Object} state - O estado guardado por capturePageState.
  */
-browser.runtime.onMessage.addListener((request, sender) => {
-    if (request.action === "extract") {
-        return extractSchedule();
+function restorePageState(state) {
+    const panel = document.querySelector('#tab_detalhes');
+    if (!panel || state.wasVisible) return;
+
+    const dialog = panel.closest('.ui-dialog, .modal') || panel;
+    const closeButton = dialog.querySelector('.ui-dialog-titlebar-close, [data-dismiss], [data-bs-dismiss], .close, .btn-close');
+    if (closeButton) {
+        closeButton.click();
+    } else {
+        panel.style.display = state.panel === panel ? state.display : 'none';
     }
+}
+
+/**
+ * Reúne os dados da página para o relatório de diagnóstico: o endereço, sem
+ * parâmetros, e o esboço da marcação, sem textos.
+ * @returns {{url: string, outline: string}} Os dados.
+ */
+function collectPageDiagnostics() {
+    return { url: `${location.origin}${location.pathname}`, outline: buildPageOutline(document) };
+}
+
+/**
+ * Extrai os dados da tabela de grade horária, em duas etapas: a grade e, depois,
+ * os detalhes de cada disciplina.
+ * @param {Object} [options] - Controle da extração.
+ * @param {AbortSignal} [options.signal] - Interrompe a extração quando o popup cancela.
+ * @param {function(Object): void} [options.onProgress] - Recebe {current, total, code}
+ * a cada disciplina concluída (current 0 quando a grade foi lida).
+ * @returns {Promise<{success: boolean, data: Array<Object>, error?: Object, diagnostics?: Object}>}
+ * O status e as aulas; quando a grade não foi lida, o erro da etapa que falhou
+ * (ver readScheduleGrid) e os dados para o relatório de diagnóstico.
+ */
+async function extractSchedule({ signal = new AbortController().signal, onProgress = () => {} } = {}) {
+    // 1ª Etapa: Coleta inicial da grade visual
+    const grid = readScheduleGrid(document);
+    if (grid.error) return { success: false, data: [], error: grid.error, diagnostics: collectPageDiagnostics() };
+    const { disciplineSlots, disciplineSpans } = grid;
+
+    // 2ª Etapa: Detalhes de cada disciplina (datas reais, professores, local)
+    onProgress({ current: 0, total: Object.keys(disciplineSpans).length, code: "" });
+    const detailsByCode = await collectDisciplineDetails(disciplineSpans, disciplineSlots, { signal, onProgress });
+
+    return { success: true, data: buildScheduleEvents(disciplineSlots, detailsByCode) };
+}
+
+/**
+ * Marca o script como carregado nesta aba, para que o popup não o injete de novo
+ * (o que registraria o listener abaixo duas vezes).
+ */
+window.calendarUspContentLoaded = true;
+
+/**
+ * Atende o popup por uma porta: envia o progresso e o resultado da extração, e a
+ * interrompe (restaurando a página) se o popup pedir ou for fechado.
+ */
+browser.runtime.onConnect.addListener(port => {
+    if (port.name !== 'calendarusp-extract') return;
+
+    const controller = new AbortController();
+    const send = message => {
+        try {
+            port.postMessage(message);
+        } catch (error) {
+            // O popup já foi fechado
+        }
+    };
+    port.onDisconnect.addListener(() => controller.abort());
+
+    port.onMessage.addListener(async message => {
+        if (message.action === 'cancel') {
+            controller.abort();
+            return;
+        }
+        if (message.action !== 'extract') return;
+
+        const pageState = capturePageState();
+        try {
+            const result = await extractSchedule({
+                signal: controller.signal,
+                onProgress: progress => send({ type: 'progress', ...progress })
+            });
+            send({ type: 'result', ...result });
+        } catch (error) {
+            if (controller.signal.aborted) {
+                restorePageState(pageState);
+                send({ type: 'cancelled' });
+            } else {
+                console.error("CalendarUSP: Erro na extração.", error);
+                send({ type: 'error', message: error.message, diagnostics: collectPageDiagnostics() });
+            }
+        }
+    });
 });
\ No newline at end of file
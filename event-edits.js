@@ -0,0 +1,76 @@
+/**
+ * @file event-edits.js
+ * @description Aplica as correções feitas pelo usuário no popup (título, local,
+ * professor, horários e datas) sobre as aulas extraídas do JúpiterWeb, mantendo
+ * os valores originais para que cada campo possa ser restaurado.
+ */
+
+/**
+ * Campos editáveis de uma aula, na ordem em que aparecem no editor do cartão.
+ * @type {Array<{name: string, label: string, type: string}>}
+ */
+const EDITABLE_FIELDS = [
+    { name: 'title', label: 'Título', type: 'text' },
+    { name: 'location', label: 'Local', type: 'text' },
+    { name: 'professors', label: 'Professor(a)', type: 'text' },
+    { name: 'startTime', label: 'Início', type: 'time' },
+    { name: 'endTime', label: 'Fim', type: 'time' },
+    { name: 'startDate', label: 'Primeiro dia', type: 'date' },
+    { name: 'endDate', label: 'Último dia', type: 'date' }
+];
+
+/**
+ * Identifica uma aula extraída de forma estável entre extrações, para que as
+ * edições continuem valendo se a grade for extraída de novo.
+ * @param {Object} event - O objeto da aula, como veio da extração.
+ * @returns {string} A chave da aula.
+ */
+function getEventKey(event) {
+    return buildEventUid(event);
+}
+
+/**
+ * Aplica as edições de uma aula. A descrição é refeita quando o professor muda,
+ * para que os links e o .ics reflitam a correção.
+ * @param {Object} event - A aula extraída.
+ * @param {Object<string, ?string>} [edits] - Os campos alterados e seus novos valores.
+ * @returns {Object} A aula com as edições aplicadas (o original não é alterado).
+ */
+function applyEventEdits(event, edits) {
+    if (!edits || Object.keys(edits).length === 0) return event;
+
+    const edited = { ...event, ...edits };
+    if (Object.prototype.hasOwnProperty.call(edits, 'professors')) {
+        edited.description = (event.description || '')
+            .replace(/Professor\(a\): .*/, `Professor(a): ${edited.professors}`);
+    }
+    return edited;
+}
+
+/**
+ * Converte o valor de um campo da aula para o formato do <input> correspondente.
+ * @param {Object} event - O objeto da aula.
+ * @param {{name: string, type: string}} field - O campo editável.
+ * @returns {string} O valor para o atributo value.
+ */
+function toFieldInputValue(event, field) {
+    const value = event[field.name];
+    if (!value) return '';
+    if (field.type === 'date') return toIsoDateString(new Date(value));
+    return String(value);
+}
+
+/**
+ * Converte o valor digitado num <input> para o formato usado nas aulas extraídas
+ * (datas como ISO 8601 à meia-noite local, igual a content.js).
+ * @param {{name: string, type: string}} field - O campo editável.
+ * @param {string} inputValue - O valor do campo de formulário.
+ * @returns {?string} O valor a gravar na aula.
+ */
+function fromFieldInputValue(field, inputValue) {
+    const value = inputValue.trim();
+    if (field.type === 'date') {
+        return value ? new Date(`${value}T00:00:00`).toISOString() : null;
+    }
+    return value;
+}
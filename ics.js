@@ -0,0 +1,423 @@
+/**
+ * @file ics.js
+ * @description Serialização de aulas no formato iCalendar (RFC 5545): escape de
+ * texto, dobra de linhas longas, UIDs estáveis e montagem do VCALENDAR completo.
+ * Também reúne os utilitários de data compartilhados com os links rápidos do popup.
+ */
+
+/**
+ * Fuso horário usado em todos os eventos exportados.
+ * @type {string}
+ */
+const ICS_TZID = 'America/Sao_Paulo';
+
+/**
+ * Tamanho máximo de uma linha de conteúdo, em octetos, antes de ser dobrada.
+ * @type {number}
+ */
+const ICS_MAX_LINE_OCTETS = 75;
+
+/**
+ * Número de semanas usado na recorrência quando a data de fim da turma é desconhecida.
+ * @type {number}
+ */
+const ICS_DEFAULT_WEEK_COUNT = 18;
+
+/**
+ * Converte o nome do dia da semana para a sigla padrão do formato iCalendar (ICS).
+ * @param {string} day - O nome completo do dia (ex: 'Segunda-feira').
+ * @returns {string} A sigla de dois caracteres (ex: 'MO').
+ */
+function getDayInitial(day) {
+    const map = {
+        'Segunda-feira': 'MO', 'Terça-feira': 'TU', 'Quarta-feira': 'WE',
+        'Quinta-feira': 'TH', 'Sexta-feira': 'FR', 'Sábado': 'SA', 'Domingo': 'SU'
+    };
+    return map[day] || '';
+}
+
+/**
+ * Formata um objeto de data e uma string de hora para o padrão de calendário
+ * (ex: '20250804T070000'), usando componentes de tempo locais para evitar
+ * conversões indesejadas de fuso horário.
+ * @param {Date} date - O objeto Date base do evento.
+ * @param {string} time - A hora no formato "HH:MM".
+ * @returns {string} A data e hora formatada.
+ */
+function formatDateTimeForCalendar(date, time) {
+    const [hours, minutes] = time.split(':');
+    const d = new Date(date);
+    d.setHours(parseInt(hours, 10));
+    d.setMinutes(parseInt(minutes, 10));
+    d.setSeconds(0);
+    d.setMilliseconds(0);
+
+    const year = d.getFullYear();
+    const month = (d.getMonth() + 1).toString().padStart(2, '0');
+    const day = d.getDate().toString().padStart(2, '0');
+    const fHours = d.getHours().toString().padStart(2, '0');
+    const fMinutes = d.getMinutes().toString().padStart(2, '0');
+
+    return `${year}${month}${day}T${fHours}${fMinutes}00`;
+}
+
+/**
+ * Formata um instante em UTC no padrão iCalendar (ex: '20250804T100000Z').
+ * @param {Date} date - O instante a ser formatado.
+ * @returns {string} A data e hora em UTC.
+ */
+function formatIcsUtcDateTime(date) {
+    return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Calcula a primeira ocorrência do dia da semana (targetDayName)
+ * a partir de uma data de início (startDate).
+ * @param {Date|string} startDate - A data a partir da qual procurar.
+ * @param {string} targetDayName - O nome completo do dia (ex: 'Segunda-feira').
+ * @returns {Date} A data da primeira aula.
+ */
+function calculateFirstClassDate(startDate, targetDayName) {
+    const daysMap = ['Domingo', 'Segunda-feira', 'Terça-feira', 'Quarta-feira', 'Quinta-feira', 'Sexta-feira', 'Sábado'];
+    const targetIndex = daysMap.indexOf(targetDayName);
+    if (targetIndex === -1) return new Date(startDate); // Fallback
+
+    const start = new Date(startDate);
+    const currentIndex = start.getDay();
+
+    let daysToAdd = targetIndex - currentIndex;
+    if (daysToAdd < 0) {
+        daysToAdd += 7;
+    }
+
+    const firstClass = new Date(start);
+    firstClass.setDate(start.getDate() + daysToAdd);
+    return firstClass;
+}
+
+/**
+ * Escapa um valor do tipo TEXT (RFC 5545, seção 3.3.11): barras invertidas,
+ * ponto e vírgula, vírgulas e quebras de linha.
+ * @param {string} value - O texto original.
+ * @returns {string} O texto escapado.
+ */
+function escapeIcsText(value) {
+    return String(value || '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r\n|\r|\n/g, '\\n');
+}
+
+/**
+ * Dobra uma linha de conteúdo com mais de 75 octetos (RFC 5545, seção 3.1),
+ * sem partir caracteres multibyte ao meio. As continuações começam com um espaço.
+ * @param {string} line - A linha sem dobra.
+ * @returns {string} A linha dobrada, com quebras CRLF.
+ */
+function foldIcsLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    let currentOctets = 0;
+
+    for (const char of line) {
+        const charOctets = encoder.encode(char).length;
+        // A primeira linha tem 75 octetos; as seguintes perdem um para o espaço inicial
+        const limit = parts.length === 0 ? ICS_MAX_LINE_OCTETS : ICS_MAX_LINE_OCTETS - 1;
+        if (currentOctets + charOctets > limit) {
+            parts.push(current);
+            current = '';
+            currentOctets = 0;
+        }
+        current += char;
+        currentOctets += charOctets;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+}
+
+/**
+ * Gera um UID estável para uma aula a partir do código da disciplina, da turma,
+ * do dia da semana e do horário de início (e do período, quando o mesmo horário
+ * tem períodos diferentes). Reexportar a mesma grade produz os mesmos UIDs, o que
+ * permite que os calendários atualizem os eventos já importados.
+ * @param {Object} event - O objeto da aula.
+ * @returns {string} O UID do evento.
+ */
+function buildEventUid(event) {
+    const parts = [
+        event.code,
+        event.turma || 'turma',
+        getDayInitial(event.day) || event.day,
+        (event.startTime || '').replace(':', '')
+    ];
+    if (event.period) parts.push(event.period.replace(/-/g, ''));
+    const slug = parts.join('-').replace(/[^A-Za-z0-9-]/g, '');
+    return `${slug}@calendarusp`;
+}
+
+/**
+ * Monta a regra de recorrência semanal de uma aula. Como DTSTART usa TZID, o
+ * UNTIL precisa estar em UTC; usamos o fim do último dia letivo no horário local.
+ * @param {Object} event - O objeto da aula.
+ * @returns {string} O valor da propriedade RRULE (sem o prefixo "RRULE:").
+ */
+function buildWeeklyRule(event) {
+    let rule = `FREQ=WEEKLY;BYDAY=${getDayInitial(event.day)}`;
+    if (event.endDate) {
+        const lastDay = new Date(event.endDate);
+        lastDay.setHours(23, 59, 59, 0);
+        rule += `;UNTIL=${formatIcsUtcDateTime(lastDay)}`;
+    } else {
+        rule += `;COUNT=${ICS_DEFAULT_WEEK_COUNT}`;
+    }
+    return rule;
+}
+
+/**
+ * Gera a propriedade EXDATE com as aulas que caem em feriados ou recessos.
+ * @param {Object} event - O objeto da aula.
+ * @param {Array<{date: string, name: string}>} nonTeachingDays - Os dias sem aula.
+ * @param {Date} now - A data de referência quando a turma não tem data de início.
+ * @returns {Array<string>} A linha EXDATE, ou um array vazio se nenhuma aula for pulada.
+ */
+function buildExdateLines(event, nonTeachingDays, now) {
+    const skipped = getSkippedDates(event, nonTeachingDays, now);
+    if (skipped.length === 0) return [];
+
+    const values = skipped.map(day =>
+        formatDateTimeForCalendar(new Date(`${day.date}T00:00:00`), event.startTime)
+    );
+    return [`EXDATE;TZID=${ICS_TZID}:${values.join(',')}`];
+}
+
+/**
+ * Gera as linhas de um evento de dia inteiro para um feriado ou dia de recesso.
+ * @param {{date: string, name: string}} day - O dia sem aula.
+ * @param {Date} now - O instante usado em DTSTAMP.
+ * @returns {Array<string>} As linhas do componente.
+ */
+function buildHolidayEventLines(day, now) {
+    const start = day.date.replace(/-/g, '');
+    const next = new Date(`${day.date}T00:00:00`);
+    next.setDate(next.getDate() + 1);
+    const end = formatDateTimeForCalendar(next, '00:00').slice(0, 8);
+
+    return [
+        'BEGIN:VEVENT',
+        `UID:feriado-${start}@calendarusp`,
+        `DTSTAMP:${formatIcsUtcDateTime(now)}`,
+        `DTSTART;VALUE=DATE:${start}`,
+        `DTEND;VALUE=DATE:${end}`,
+        `SUMMARY:${escapeIcsText(day.name)}`,
+        'TRANSP:TRANSPARENT',
+        'END:VEVENT'
+    ];
+}
+
+/**
+ * Gera as linhas de um evento avulso para uma avaliação: com horário, dura duas
+ * horas; sem horário, ocupa o dia inteiro.
+ * @param {{code: string, title: string, date: string, time: ?string, label: string, source: string}} assessment -
+ * A avaliação (ver findAssessmentDates).
+ * @param {Date} now - O instante usado em DTSTAMP.
+ * @returns {Array<string>} As linhas do componente.
+ */
+function buildAssessmentEventLines(assessment, now) {
+    const day = new Date(`${assessment.date}T00:00:00`);
+    const slug = `${assessment.code}-${assessment.date}-${assessment.label}`.replace(/[^A-Za-z0-9-]/g, '').substring(0, 60);
+    const next = new Date(day);
+    next.setDate(next.getDate() + 1);
+
+    const timing = assessment.time
+        ? [`DTSTART;TZID=${ICS_TZID}:${formatDateTimeForCalendar(day, assessment.time)}`, 'DURATION:PT2H']
+        : [`DTSTART;VALUE=DATE:${assessment.date.replace(/-/g, '')}`, `DTEND;VALUE=DATE:${formatDateTimeForCalendar(next, '00:00').slice(0, 8)}`];
+
+    return [
+        'BEGIN:VEVENT',
+        `UID:avaliacao-${slug}@calendarusp`,
+        `DTSTAMP:${formatIcsUtcDateTime(now)}`,
+        ...timing,
+        `SUMMARY:${escapeIcsText(`${assessment.label} · ${assessment.code}`)}`,
+        `DESCRIPTION:${escapeIcsText(`${assessment.title}\n${assessment.source}`)}`,
+        'END:VEVENT'
+    ];
+}
+
+/**
+ * Resolve a antecedência do lembrete de uma aula: a escolha da disciplina, se
+ * houver, senão o padrão global.
+ * @param {Object} event - O objeto da aula.
+ * @param {{defaultMinutes: ?number, overrides: Object<string, ?number>}} reminders -
+ * As configurações de lembrete; null em overrides desliga o lembrete da disciplina.
+ * @returns {?number} Os minutos de antecedência, ou null para não emitir lembrete.
+ */
+function resolveReminderMinutes(event, reminders) {
+    if (!reminders) return null;
+    const overrides = reminders.overrides || {};
+    if (Object.prototype.hasOwnProperty.call(overrides, event.code)) {
+        return overrides[event.code];
+    }
+    return reminders.defaultMinutes != null ? reminders.defaultMinutes : null;
+}
+
+/**
+ * Gera um componente VALARM de exibição disparado antes do início da aula.
+ * @param {Object} event - O objeto da aula.
+ * @param {?number} minutes - Os minutos de antecedência.
+ * @returns {Array<string>} As linhas do alarme, ou um array vazio sem lembrete.
+ */
+function buildAlarmLines(event, minutes) {
+    if (minutes == null) return [];
+    return [
+        'BEGIN:VALARM',
+        'ACTION:DISPLAY',
+        `DESCRIPTION:${escapeIcsText(event.title)}`,
+        `TRIGGER:-PT${minutes}M`,
+        'END:VALARM'
+    ];
+}
+
+/**
+ * Gera as linhas (ainda sem dobra) de um VEVENT para uma aula recorrente.
+ * @param {Object} event - O objeto da aula.
+ * @param {Object} options - Opções de serialização.
+ * @param {Date} options.now - O instante usado em DTSTAMP.
+ * @param {Array<{date: string, name: string}>} options.nonTeachingDays - Os dias sem aula.
+ * @param {Object} [options.reminders] - As configurações de lembrete (ver resolveReminderMinutes).
+ * @param {number} [options.sequence] - O SEQUENCE do evento, usado em atualizações.
+ * @param {string} [options.status] - O STATUS do evento (ex: 'CANCELLED').
+ * @returns {Array<string>} As linhas do componente, ou um array vazio se o dia for inválido.
+ */
+function buildIcsEventLines(event, { now, nonTeachingDays, reminders, sequence, status }) {
+    if (!getDayInitial(event.day)) return [];
+
+    const firstClassDate = calculateFirstClassDate(event.startDate || now, event.day);
+
+    return [
+        'BEGIN:VEVENT',
+        `UID:${buildEventUid(event)}`,
+        `DTSTAMP:${formatIcsUtcDateTime(now)}`,
+        ...(sequence != null ? [`SEQUENCE:${sequence}`] : []),
+        ...(status ? [`STATUS:${status}`] : []),
+        `DTSTART;TZID=${ICS_TZID}:${formatDateTimeForCalendar(firstClassDate, event.startTime)}`,
+        `DTEND;TZID=${ICS_TZID}:${formatDateTimeForCalendar(firstClassDate, event.endTime)}`,
+        `RRULE:${buildWeeklyRule(event)}`,
+        ...buildExdateLines(event, nonTeachingDays, now),
+        `SUMMARY:${escapeIcsText(event.title)}`,
+        `DESCRIPTION:${escapeIcsText(event.description)}`,
+        `LOCATION:${escapeIcsText(event.location)}`,
+        ...getProfessorNames(event).map(name => `CONTACT:${escapeIcsText(name)}`),
+        ...buildAlarmLines(event, resolveReminderMinutes(event, reminders)),
+        'END:VEVENT'
+    ];
+}
+
+/**
+ * Gera o início do VCALENDAR: cabeçalho e definição do fuso horário.
+ * @returns {Array<string>} As linhas iniciais do arquivo.
+ */
+function buildIcsHeaderLines() {
+    return [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//CalendarUSP//ExportadorGradeHoraria//PT',
+        'CALSCALE:GREGORIAN',
+        'BEGIN:VTIMEZONE',
+        `TZID:${ICS_TZID}`,
+        'BEGIN:STANDARD',
+        'DTSTART:19700101T000000',
+        'TZOFFSETFROM:-0300',
+        'TZOFFSETTO:-0300',
+        'TZNAME:BRT',
+        'END:STANDARD',
+        'END:VTIMEZONE'
+    ];
+}
+
+/**
+ * Serializa uma lista de aulas num VCALENDAR completo, com linhas dobradas e
+ * terminadas em CRLF.
+ * @param {Array<Object>} events - As aulas a exportar.
+ * @param {Object} [options] - Opções de serialização.
+ * @param {Date} [options.now] - O instante usado em DTSTAMP (padrão: agora).
+ * @param {Array<{date: string, name: string}>} [options.nonTeachingDays] - Feriados e
+ * recessos do calendário acadêmico, emitidos como EXDATE nas aulas afetadas.
+ * @param {boolean} [options.includeHolidays] - Se true, adiciona os dias sem aula
+ * como eventos de dia inteiro.
+ * @param {Array<{date: string, name: string}>} [options.holidayDays] - Os dias emitidos
+ * como eventos de dia inteiro (padrão: todos de nonTeachingDays).
+ * @param {Object} [options.reminders] - Lembrete padrão e por disciplina, emitidos como VALARM.
+ * @returns {string} O conteúdo do arquivo .ics.
+ */
+function buildIcsCalendar(events, options = {}) {
+    const settings = { now: new Date(), nonTeachingDays: [], includeHolidays: false, ...options };
+
+    const lines = buildIcsHeaderLines();
+
+    events.forEach(event => {
+        lines.push(...buildIcsEventLines(event, settings));
+    });
+
+    if (settings.includeHolidays) {
+        (settings.holidayDays || settings.nonTeachingDays).forEach(day => {
+            lines.push(...buildHolidayEventLines(day, settings.now));
+        });
+    }
+
+    lines.push('END:VCALENDAR');
+
+    return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Serializa as diferenças entre duas versões da grade (ver diffSchedules) como
+ * uma atualização: aulas novas e alteradas saem com SEQUENCE maior, e aulas
+ * removidas (ou cujo UID mudou) saem com STATUS:CANCELLED.
+ * @param {{added: Array<Object>, removed: Array<Object>, changed: Array<Object>}} diff -
+ * As diferenças entre a foto salva e a grade atual.
+ * @param {Object} [options] - As mesmas opções de buildIcsCalendar, mais:
+ * @param {number} [options.sequence] - O SEQUENCE das alterações (padrão: minutos
+ * desde 2020, que sempre cresce entre uma atualização e outra).
+ * @returns {string} O conteúdo do arquivo .ics de atualização.
+ */
+function buildIcsUpdateCalendar(diff, options = {}) {
+    const now = options.now || new Date();
+    const sequence = options.sequence != null
+        ? options.sequence
+        : Math.floor((now.getTime() - Date.UTC(2020, 0, 1)) / 60000);
+    const settings = { nonTeachingDays: [], ...options, now, sequence };
+    const cancelled = { ...settings, status: 'CANCELLED', reminders: null };
+
+    const lines = buildIcsHeaderLines();
+
+    diff.added.forEach(event => lines.push(...buildIcsEventLines(event, settings)));
+    diff.changed.forEach(({ before, after }) => {
+        if (buildEventUid(before) !== buildEventUid(after)) {
+            lines.push(...buildIcsEventLines(before, cancelled));
+        }
+        lines.push(...buildIcsEventLines(after, settings));
+    });
+    diff.removed.forEach(event => lines.push(...buildIcsEventLines(event, cancelled)));
+
+    lines.push('END:VCALENDAR');
+
+    return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Serializa o calendário de provas do semestre: um evento avulso por avaliação.
+ * @param {Array<Object>} assessments - As avaliações (ver collectAssessments).
+ * @param {Object} [options] - Opções de serialização.
+ * @param {Date} [options.now] - O instante usado em DTSTAMP (padrão: agora).
+ * @returns {string} O conteúdo do arquivo .ics.
+ */
+function buildAssessmentCalendar(assessments, { now = new Date() } = {}) {
+    const lines = buildIcsHeaderLines();
+    assessments.forEach(assessment => lines.push(...buildAssessmentEventLines(assessment, now)));
+    lines.push('END:VCALENDAR');
+
+    return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,52 @@
+/**
+ * @file import.js
+ * @description Página de importação (import.html): lê um JSON exportado pela
+ * extensão e o salva como a última grade, que o popup mostra ao ser aberto. Fica
+ * numa aba própria porque, no Firefox, o diálogo de escolha de arquivo fecha o
+ * popup antes que ele leia o arquivo.
+ */
+
+/**
+ * Salva uma grade exportada em JSON no lugar da atual. As aulas importadas já
+ * trazem as edições de quando foram exportadas, então as edições, a seleção e as
+ * escolhas de conflito começam do zero; lembretes, campus e feriados continuam.
+ * @param {string} text - O conteúdo do arquivo.
+ * @returns {Promise<number>} O número de aulas importadas.
+ */
+async function importScheduleJson(text) {
+    const imported = parseScheduleJson(text);
+    const previous = await loadLastSchedule() || {};
+    await saveLastSchedule({
+        events: imported.events,
+        extractedAt: imported.exportedAt || new Date().toISOString(),
+        edits: {},
+        excludedKeys: [],
+        conflictResolutions: {},
+        reminders: previous.reminders || { defaultMinutes: null, overrides: {} },
+        campus: previous.campus || '',
+        includeHolidays: Boolean(previous.includeHolidays)
+    });
+    return imported.events.length;
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const input = document.getElementById('import-json-input');
+    const status = document.getElementById('import-status');
+
+    input.addEventListener('change', async () => {
+        const [file] = input.files;
+        if (!file) return;
+
+        try {
+            const count = await importScheduleJson(await file.text());
+            status.className = 'import-status';
+            status.textContent = `${count} aula(s) importada(s) de ${file.name}. Abra o popup da extensão para ver a grade.`;
+        } catch (error) {
+            console.error(error);
+            status.className = 'import-status import-error';
+            status.textContent = `Erro: ${error.message}`;
+        } finally {
+            input.value = '';
+        }
+    });
+});
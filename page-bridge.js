@@ -0,0 +1,64 @@
+/**
+ * @file page-bridge.js
+ * @description Script injetado no contexto da própria página do JúpiterWeb (world
+ * "MAIN"), e não no mundo isolado do content script. Ele registra as requisições
+ * XHR que a interface do Júpiter faz (para que content.js aprenda como os detalhes
+ * de uma disciplina são pedidos) e repete requisições a pedido de content.js, com
+ * a sessão e os cabeçalhos da página.
+ *
+ * A comunicação com content.js é feita por eventos no window:
+ * - "calendarusp:captured" (página → content): uma requisição concluída, com
+ *   {method, url, body, headers, status, responseText}.
+ * - "calendarusp:fetch" (content → página): {id, method, url, body, headers}.
+ * - "calendarusp:fetched" (página → content): {id, status, text} ou {id, error}.
+ * Os detalhes trafegam como JSON em texto, que atravessa a fronteira entre os mundos.
+ */
+(() => {
+    if (window.__calendarUspBridge) return;
+    window.__calendarUspBridge = true;
+
+    const originalOpen = XMLHttpRequest.prototype.open;
+    const originalSend = XMLHttpRequest.prototype.send;
+    const originalSetRequestHeader = XMLHttpRequest.prototype.setRequestHeader;
+
+    XMLHttpRequest.prototype.open = function (method, url, ...rest) {
+        this.__calendarUsp = { method: String(method).toUpperCase(), url: new URL(url, location.href).href, headers: {} };
+        return originalOpen.call(this, method, url, ...rest);
+    };
+
+    XMLHttpRequest.prototype.setRequestHeader = function (name, value) {
+        if (this.__calendarUsp) this.__calendarUsp.headers[name] = value;
+        return originalSetRequestHeader.call(this, name, value);
+    };
+
+    XMLHttpRequest.prototype.send = function (body) {
+        const request = this.__calendarUsp;
+        if (request && new URL(request.url).origin === location.origin) {
+            request.body = typeof body === 'string' ? body : null;
+            this.addEventListener('load', () => {
+                const responseText = this.responseType === '' || this.responseType === 'text' ? this.responseText : '';
+                window.dispatchEvent(new CustomEvent('calendarusp:captured', {
+                    detail: JSON.stringify({ ...request, status: this.status, responseText })
+                }));
+            });
+        }
+        return originalSend.call(this, body);
+    };
+
+    window.addEventListener('calendarusp:fetch', async (e) => {
+        const { id, method, url, body, headers } = JSON.parse(e.detail);
+        let detail;
+        try {
+            const response = await fetch(url, {
+                method,
+                headers,
+                body: method === 'GET' ? undefined : body,
+                credentials: 'same-origin'
+            });
+            detail = { id, status: response.status, text: await response.text() };
+        } catch (error) {
+            detail = { id, error: error.message };
+        }
+        window.dispatchEvent(new CustomEvent('calendarusp:fetched', { detail: JSON.stringify(detail) }));
+    });
+})();
@@ -12,176 +12,586 @@ document.addEventListener('DOMContentLoaded', () => {
     const classList = document.getElementById('class-list');
     const statusMessage = document.getElementById('status-message');
     const errorMessage = document.getElementById('error-message');
+    const campusSelect = document.getElementById('campus-select');
+    const holidayEventsToggle = document.getElementById('holiday-events-toggle');
+    const reminderDefaultSelect = document.getElementById('reminder-default-select');
+    const reminderNote = document.getElementById('reminder-note');
+    const selectAllBtn = document.getElementById('select-all-btn');
+    const selectNoneBtn = document.getElementById('select-none-btn');
+    const selectionSummary = document.getElementById('selection-summary');
+    const refreshBtn = document.getElementById('refresh-btn');
+    const extractedAtLabel = document.getElementById('extracted-at');
+    const snapshotNameInput = document.getElementById('snapshot-name');
+    const saveSnapshotBtn = document.getElementById('save-snapshot-btn');
+    const snapshotList = document.getElementById('snapshot-list');
+    const diffResults = document.getElementById('diff-results');
+    const listViewBtn = document.getElementById('list-view-btn');
+    const gridViewBtn = document.getElementById('grid-view-btn');
+    const timetableView = document.getElementById('timetable-view');
+    const conflictSummary = document.getElementById('conflict-summary');
+    const caldavUrlInput = document.getElementById('caldav-url');
+    const caldavUsernameInput = document.getElementById('caldav-username');
+    const caldavPasswordInput = document.getElementById('caldav-password');
+    const caldavSyncBtn = document.getElementById('caldav-sync-btn');
+    const caldavSyncStatus = document.getElementById('caldav-sync-status');
+    const exportCsvBtn = document.getElementById('export-csv-btn');
+    const exportJsonBtn = document.getElementById('export-json-btn');
+    const importLink = document.getElementById('import-link');
+    const importJsonLink = document.getElementById('import-json-link');
+    const printOrientationSelect = document.getElementById('print-orientation');
+    const exportPngBtn = document.getElementById('export-png-btn');
+    const openPrintBtn = document.getElementById('open-print-btn');
+    const assessmentCount = document.getElementById('assessment-count');
+    const assessmentList = document.getElementById('assessment-list');
+    const exportAssessmentsBtn = document.getElementById('export-assessments-btn');
+    const extractionProgress = document.getElementById('extraction-progress');
+    const extractionProgressBar = document.getElementById('extraction-progress-bar');
+    const extractionProgressLabel = document.getElementById('extraction-progress-label');
+    const cancelExtractionBtn = document.getElementById('cancel-extraction-btn');
+    const copyDiagnosticsBtn = document.getElementById('copy-diagnostics-btn');
+    const professorFilterBar = document.getElementById('professor-filter-bar');
+    const professorFilterSelect = document.getElementById('professor-filter');
 
     // Armazena os eventos (aulas) extraídos da página.
     let extractedEvents = [];
 
+    // Momento da extração exibida (ISO 8601).
+    let extractedAt = null;
+
+    // Calendário acadêmico empacotado (feriados e recessos por semestre).
+    let academicCalendar = null;
+
+    // Lembretes do .ics: padrão global e escolhas por disciplina (null = sem lembrete).
+    const reminderSettings = { defaultMinutes: null, overrides: {} };
+
+    // Correções feitas pelo usuário, por aula (chave: getEventKey da aula extraída).
+    let eventEdits = {};
+
+    // Cartões com o editor aberto, para mantê-los abertos ao redesenhar a lista.
+    const openEditors = new Set();
+
     /**
-     * Converte o nome do dia da semana para a sigla padrão do formato iCalendar (ICS).
-     * @param {string} day - O nome completo do dia (ex: 'Segunda-feira').
-     * @returns {string} A sigla de dois caracteres (ex: 'MO').
+     * Escapa texto para inserção segura no HTML dos cartões (os campos podem ter
+     * sido digitados pelo usuário).
+     * @param {string} value - O texto original.
+     * @returns {string} O texto escapado.
      */
-    const getDayInitial = (day) => {
-        const map = {
-            'Segunda-feira': 'MO', 'Terça-feira': 'TU', 'Quarta-feira': 'WE',
-            'Quinta-feira': 'TH', 'Sexta-feira': 'FR', 'Sábado': 'SA', 'Domingo': 'SU'
-        };
-        return map[day] || '';
+    const escapeHtml = (value) => String(value == null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+
+    // Visão atual dos resultados: 'list' (cartões) ou 'grid' (grade semanal).
+    let currentView = 'list';
+
+    // Professor escolhido no filtro da lista e da grade semanal ('' mostra todos).
+    // Só muda o que aparece: a seleção das aulas continua valendo para a exportação.
+    let professorFilter = '';
+
+    /**
+     * Verifica se uma aula aparece com o filtro de professor atual.
+     * @param {Object} event - A aula, com as edições aplicadas.
+     * @returns {boolean} true se a aula deve aparecer.
+     */
+    const matchesProfessorFilter = (event) => !professorFilter || getProfessorNames(event).includes(professorFilter);
+
+    /**
+     * Preenche o filtro com os professores de todas as aulas. O filtro só aparece
+     * quando há mais de um professor na grade.
+     */
+    const renderProfessorFilter = () => {
+        const names = [...new Set(extractedEvents.flatMap(original =>
+            getProfessorNames(applyEventEdits(original, eventEdits[getEventKey(original)]))
+        ))].sort((a, b) => a.localeCompare(b, 'pt-BR'));
+        if (!names.includes(professorFilter)) professorFilter = '';
+
+        professorFilterSelect.innerHTML = '<option value="">Todos</option>' +
+            names.map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`).join('');
+        professorFilterSelect.value = professorFilter;
+        professorFilterBar.style.display = names.length > 1 ? 'flex' : 'none';
     };
 
+    // Aulas desmarcadas pelo usuário (chaves de getEventKey); o resto vai para o .ics.
+    const excludedKeys = new Set();
+
+    // Escolha do usuário para cada conflito de horário (ver resolveScheduleConflicts).
+    let conflictResolutions = {};
+
+    /**
+     * Retorna as aulas marcadas para exportação, com as correções do usuário
+     * aplicadas, na ordem da extração.
+     * @returns {Array<{key: string, event: Object}>} As aulas marcadas e suas chaves.
+     */
+    const getSelectedItems = () => extractedEvents
+        .filter(event => !excludedKeys.has(getEventKey(event)))
+        .map(event => ({ key: getEventKey(event), event: applyEventEdits(event, eventEdits[getEventKey(event)]) }));
+
+    /**
+     * Retorna as aulas que vão para o calendário: as marcadas, com edições e com
+     * os conflitos de horário resolvidos.
+     * @returns {Array<Object>} As aulas a exportar.
+     */
+    const getSelectedEvents = () =>
+        resolveScheduleConflicts(getSelectedItems(), conflictResolutions).map(item => item.event);
+
+    /**
+     * Gera o aviso de conflito exibido no cartão, com a escolha de qual aula manter.
+     * @param {string} key - A chave da aula do cartão.
+     * @param {Array<Object>} conflicts - Os conflitos que envolvem essa aula.
+     * @returns {string} O HTML do aviso.
+     */
+    const renderConflictBox = (key, conflicts) => conflicts.map(conflict => {
+        const other = conflict.a.key === key ? conflict.b : conflict.a;
+        const resolution = conflictResolutions[conflict.id] || CONFLICT_KEEP_BOTH;
+        const options = [
+            [CONFLICT_KEEP_BOTH, 'Exportar as duas (com aviso)'],
+            [key, 'Manter esta aula'],
+            [other.key, `Manter ${other.event.code}`]
+        ];
+        return `
+            <div class="conflict-box">
+                Conflito com <strong>${escapeHtml(other.event.code)}</strong>
+                (${escapeHtml(other.event.day)} ${escapeHtml(other.event.startTime)}-${escapeHtml(other.event.endTime)})
+                <select class="conflict-select" data-conflict="${escapeHtml(conflict.id)}">
+                    ${options.map(([value, label]) => `<option value="${escapeHtml(value)}"${value === resolution ? ' selected' : ''}>${escapeHtml(label)}</option>`).join('')}
+                </select>
+            </div>`;
+    }).join('');
+
     /**
-     * Formata um objeto de data e uma string de hora para o padrão de calendário
-     * (ex: '20250804T070000'), usando componentes de tempo locais para evitar
-     * conversões indesejadas de fuso horário.
-     * @param {Date} date - O objeto Date base do evento.
-     * @param {string} time - A hora no formato "HH:MM".
-     * @returns {string} A data e hora formatada.
-     */
-    const formatDateTimeForCalendar = (date, time) => {
-        const [hours, minutes] = time.split(':');
-        const d = new Date(date);
-        d.setHours(parseInt(hours, 10));
-        d.setMinutes(parseInt(minutes, 10));
-        d.setSeconds(0);
-        d.setMilliseconds(0);
-
-        const year = d.getFullYear();
-        const month = (d.getMonth() + 1).toString().padStart(2, '0');
-        const day = d.getDate().toString().padStart(2, '0');
-        const fHours = d.getHours().toString().padStart(2, '0');
-        const fMinutes = d.getMinutes().toString().padStart(2, '0');
-
-        return `${year}${month}${day}T${fHours}${fMinutes}00`;
+     * Atualiza o resumo da seleção e desabilita a exportação quando nada está marcado.
+     */
+    const updateSelectionSummary = () => {
+        const selectedCount = extractedEvents.filter(event => !excludedKeys.has(getEventKey(event))).length;
+        selectionSummary.textContent = `${selectedCount} de ${extractedEvents.length} aulas selecionadas`;
+        exportIcsBtn.disabled = selectedCount === 0;
     };
 
     /**
-     * Formata um objeto Date para uma string de data no formato "YYYY-MM-DD",
-     * utilizando métodos que operam no fuso horário local.
-     * @param {Date} date - O objeto Date a ser formatado.
-     * @returns {string} A data formatada.
+     * Cria o cabeçalho de um grupo de disciplina, com a caixa que marca ou desmarca
+     * todas as aulas da disciplina.
+     * @param {string} code - O código da disciplina.
+     * @param {string} title - O nome exibido da disciplina.
+     * @param {Array<Object>} events - Todas as aulas extraídas.
+     * @returns {HTMLLIElement} O elemento do cabeçalho.
      */
-    const formatDateForLink = (date) => {
-        const year = date.getFullYear();
-        const month = (date.getMonth() + 1).toString().padStart(2, '0');
-        const day = date.getDate().toString().padStart(2, '0');
-        return `${year}-${month}-${day}`;
+    const renderGroupHeader = (code, title, events) => {
+        const keys = events.filter(event => event.code === code).map(getEventKey);
+        const selectedCount = keys.filter(key => !excludedKeys.has(key)).length;
+
+        const li = document.createElement('li');
+        li.className = 'discipline-header';
+        li.innerHTML = `
+            <label>
+                <input type="checkbox" class="select-group" data-code="${escapeHtml(code)}"${selectedCount > 0 ? ' checked' : ''}>
+                <span>${escapeHtml(code)} · ${escapeHtml(title)}</span>
+            </label>
+        `;
+        li.querySelector('input').indeterminate = selectedCount > 0 && selectedCount < keys.length;
+        return li;
     };
 
     /**
-     * Calcula a primeira ocorrência do dia da semana (targetDayName)
-     * a partir de uma data de início (startDate).
+     * Gera o HTML do editor de um cartão, com um botão de restaurar em cada campo
+     * que difere do valor extraído.
+     * @param {string} key - A chave da aula.
+     * @param {Object} original - A aula como foi extraída.
+     * @param {Object} event - A aula com as edições aplicadas.
+     * @returns {string} O HTML do formulário.
      */
-    const calculateFirstClassDate = (startDate, targetDayName) => {
-        const daysMap = ['Domingo', 'Segunda-feira', 'Terça-feira', 'Quarta-feira', 'Quinta-feira', 'Sexta-feira', 'Sábado'];
-        const targetIndex = daysMap.indexOf(targetDayName);
-        if (targetIndex === -1) return new Date(startDate); // Fallback
+    const renderEditor = (key, original, event) => {
+        const edits = eventEdits[key] || {};
+        const rows = EDITABLE_FIELDS.map(field => {
+            const isEdited = Object.prototype.hasOwnProperty.call(edits, field.name);
+            return `
+                <label class="edit-row${isEdited ? ' edited' : ''}">
+                    <span>${field.label}</span>
+                    <input class="edit-field" type="${field.type}" data-key="${escapeHtml(key)}" data-field="${field.name}"
+                        value="${escapeHtml(toFieldInputValue(event, field))}">
+                    ${isEdited ? `<button type="button" class="revert-field" data-key="${escapeHtml(key)}" data-field="${field.name}"
+                        title="Restaurar: ${escapeHtml(toFieldInputValue(original, field) || '(vazio)')}">↺</button>` : ''}
+                </label>`;
+        }).join('');
+        return `<div class="card-editor">${rows}</div>`;
+    };
 
-        const start = new Date(startDate);
-        const currentIndex = start.getDay();
-        
-        let daysToAdd = targetIndex - currentIndex;
-        if (daysToAdd < 0) {
-            daysToAdd += 7;
+    // Antecedências oferecidas nos seletores de lembrete, em minutos.
+    const REMINDER_CHOICES = [5, 10, 15, 30, 60];
+
+    /**
+     * Gera as opções de um seletor de lembrete.
+     * @param {string} selectedValue - O valor atualmente escolhido.
+     * @param {boolean} withDefault - Se true, inclui a opção "Padrão" (seletor por disciplina).
+     * @returns {string} O HTML das opções.
+     */
+    const buildReminderOptions = (selectedValue, withDefault) => {
+        const choices = withDefault ? [['', 'Padrão'], ['none', 'Sem lembrete']] : [['none', 'Sem lembrete']];
+        REMINDER_CHOICES.forEach(minutes => choices.push([String(minutes), `${minutes} min antes`]));
+        return choices
+            .map(([value, label]) => `<option value="${value}"${value === selectedValue ? ' selected' : ''}>${label}</option>`)
+            .join('');
+    };
+
+    /**
+     * Mostra o aviso de que os links rápidos não levam lembretes sempre que algum
+     * lembrete estiver configurado.
+     */
+    const updateReminderNote = () => {
+        const hasReminder = reminderSettings.defaultMinutes !== null ||
+            Object.values(reminderSettings.overrides).some(minutes => minutes !== null);
+        reminderNote.style.display = hasReminder ? 'block' : 'none';
+    };
+
+    /**
+     * Carrega o arquivo de calendário acadêmico empacotado com a extensão e
+     * preenche a lista de campi.
+     */
+    const loadAcademicCalendar = async () => {
+        try {
+            const response = await fetch(browser.runtime.getURL('data/calendario-academico.json'));
+            academicCalendar = await response.json();
+            academicCalendar.campuses.forEach(campus => {
+                const option = document.createElement('option');
+                option.value = campus;
+                option.textContent = campus;
+                campusSelect.appendChild(option);
+            });
+        } catch (error) {
+            console.error('CalendarUSP: Não foi possível carregar o calendário acadêmico.', error);
         }
+    };
+
+    /**
+     * Retorna os feriados e recessos que valem para o campus selecionado.
+     * @returns {Array<{date: string, name: string}>} Os dias sem aula.
+     */
+    const currentNonTeachingDays = () => getNonTeachingDays(academicCalendar, campusSelect.value);
+
+    /**
+     * Baixa o .ics de uma única aula recorrente para abrir no Outlook.
+     * @param {string} key - A chave da aula.
+     */
+    const downloadOutlookEvent = (key) => {
+        const item = resolveScheduleConflicts(getSelectedItems(), conflictResolutions)
+            .find(candidate => candidate.key === key);
+        const original = extractedEvents.find(event => getEventKey(event) === key);
+        const event = item ? item.event : original && applyEventEdits(original, eventEdits[key]);
+        if (!event) return;
 
-        const firstClass = new Date(start);
-        firstClass.setDate(start.getDate() + daysToAdd);
-        return firstClass;
+        const { content, filename } = buildOutlookEventFile(event, {
+            nonTeachingDays: currentNonTeachingDays(),
+            reminders: reminderSettings
+        });
+        downloadFile(content, filename, 'text/calendar;charset=utf-8');
     };
 
-        /**
-     * Cria um link para adicionar um evento recorrente ao Google Agenda.
-     * @param {Object} event - O objeto da aula.
-     * @param {Date} firstDay - A data da primeira ocorrência da aula.
-     * @returns {string} A URL completa para o Google Agenda.
-     */
-    const createGoogleCalendarLink = (event, firstDate) => {
-        const baseUrl = 'https://www.google.com/calendar/render?action=TEMPLATE';
-        const title = encodeURIComponent(event.title);
-        const details = encodeURIComponent(event.description);
-        const location = encodeURIComponent(event.location);
-        const startDateTime = formatDateTimeForCalendar(firstDate, event.startTime);
-        const endDateTime = formatDateTimeForCalendar(firstDate, event.endTime);
-        const dayInitial = getDayInitial(event.day);
-        
-        let rrule = `FREQ=WEEKLY;BYDAY=${dayInitial}`;
-        
-        // Se tiver data de fim, usa UNTIL
-        if (event.endDate) {
-            // Google Calendar via URL aceita YYYYMMDD para UNTIL
-            const endD = new Date(event.endDate);
-            const y = endD.getFullYear();
-            const m = (endD.getMonth() + 1).toString().padStart(2, '0');
-            const d = endD.getDate().toString().padStart(2, '0');
-            // Adiciona um dia de margem ou define horário final do dia para garantir inclusão
-            rrule += `;UNTIL=${y}${m}${d}T235959Z`;
-        } else {
-            rrule += `;COUNT=18`;
+    /**
+     * Inicia o download de um arquivo gerado no popup.
+     * @param {string|Blob} content - O conteúdo do arquivo.
+     * @param {string} filename - O nome sugerido para o arquivo.
+     * @param {string} type - O tipo MIME do conteúdo.
+     */
+    const downloadFile = (content, filename, type) => {
+        const blob = new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    };
+
+    /**
+     * Grava a grade exibida e as escolhas do usuário no armazenamento da extensão.
+     */
+    const persistState = () => {
+        if (extractedEvents.length === 0) return;
+        saveLastSchedule({
+            events: extractedEvents,
+            extractedAt,
+            edits: eventEdits,
+            excludedKeys: [...excludedKeys],
+            conflictResolutions,
+            reminders: reminderSettings,
+            campus: campusSelect.value,
+            includeHolidays: holidayEventsToggle.checked
+        }).catch(error => console.error('CalendarUSP: Não foi possível salvar a grade.', error));
+    };
+
+    /**
+     * Redesenha os cartões e salva o novo estado. Usado após qualquer alteração
+     * feita pelo usuário.
+     */
+    const refreshResults = () => {
+        displayResults(extractedEvents);
+        persistState();
+    };
+
+    /**
+     * Descarta as edições, desmarcações e editores abertos de aulas que não estão
+     * mais na grade (por exemplo, depois de atualizar uma grade que mudou).
+     */
+    const pruneStaleSelections = () => {
+        const keys = new Set(extractedEvents.map(getEventKey));
+        Object.keys(eventEdits).forEach(key => {
+            if (!keys.has(key)) delete eventEdits[key];
+        });
+        [excludedKeys, openEditors].forEach(set => set.forEach(key => {
+            if (!keys.has(key)) set.delete(key);
+        }));
+    };
+
+    /**
+     * Troca a tela inicial pela lista de resultados, com a data da extração.
+     */
+    const showResults = () => {
+        pruneStaleSelections();
+        statusMessage.style.display = 'none';
+        extractBtn.style.display = 'none';
+        importLink.style.display = 'none';
+        resultsContainer.style.display = 'block';
+        extractedAtLabel.textContent = `Extraída em ${new Date(extractedAt).toLocaleString('pt-BR', {
+            day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit'
+        })}`;
+        displayResults(extractedEvents);
+    };
+
+    /**
+     * Restaura a última grade salva, se houver, com as edições e preferências.
+     */
+    const restoreLastSchedule = async () => {
+        try {
+            const state = await loadLastSchedule();
+            if (!state) return;
+
+            extractedEvents = state.events;
+            extractedAt = state.extractedAt;
+            eventEdits = state.edits || {};
+            (state.excludedKeys || []).forEach(key => excludedKeys.add(key));
+            conflictResolutions = state.conflictResolutions || {};
+            Object.assign(reminderSettings, state.reminders || {});
+            reminderDefaultSelect.value = reminderSettings.defaultMinutes === null ? 'none' : String(reminderSettings.defaultMinutes);
+            campusSelect.value = state.campus || '';
+            holidayEventsToggle.checked = Boolean(state.includeHolidays);
+            updateReminderNote();
+            showResults();
+        } catch (error) {
+            console.error('CalendarUSP: Não foi possível carregar a grade salva.', error);
         }
+    };
+
+    // Porta aberta com o content script durante uma extração.
+    let extractionPort = null;
+
+    // Relatório da última extração que falhou, para o botão "Copiar relatório".
+    let diagnosticReport = null;
 
-        return `${baseUrl}&text=${title}&dates=${startDateTime}/${endDateTime}&details=${details}&location=${location}&ctz=America/Sao_Paulo&recur=RRULE:${rrule}`;
+    /**
+     * Monta o relatório de diagnóstico de uma extração que falhou, para o usuário
+     * anexar a um relato de erro. A página entra só como esboço da marcação, sem
+     * textos (ver buildPageOutline em schedule-parser.js).
+     * @param {{message: string, stage?: string, found?: Object, diagnostics?: Object}} failure -
+     * O erro e o que foi encontrado na página.
+     * @returns {string} O relatório.
+     */
+    const buildDiagnosticReport = ({ message, stage, found, diagnostics }) => {
+        const lines = [
+            'CalendarUSP: relatório de diagnóstico',
+            `Versão da extensão: ${browser.runtime.getManifest().version}`,
+            `Navegador: ${navigator.userAgent}`,
+            `Data: ${new Date().toISOString()}`,
+            `Página: ${diagnostics ? diagnostics.url : 'não lida'}`,
+            `Etapa: ${stage || 'não identificada'}`,
+            `Erro: ${message}`
+        ];
+        if (found) lines.push('', 'Encontrado na página:', JSON.stringify(found, null, 2));
+        if (diagnostics) lines.push('', 'Estrutura da página (sem textos):', diagnostics.outline);
+        return lines.join('\n');
     };
 
-        /**
-     * Cria um link para adicionar um evento ao Outlook Calendar.
-     * @param {Object} event - O objeto da aula.
-     * @param {Date} firstDay - A data da primeira ocorrência da aula.
-     * @returns {string} A URL completa para o Outlook.
-     */
-    const createOutlookCalendarLink = (event, firstDate) => {
-        const baseUrl = 'https://outlook.live.com/calendar/0/deeplink/compose?path=/calendar/action/compose&rru=addevent';
-        const title = encodeURIComponent(event.title);
-        const details = encodeURIComponent(event.description);
-        const location = encodeURIComponent(event.location);
-        const startStr = `${formatDateForLink(firstDate)}T${event.startTime}:00`;
-        const endStr = `${formatDateForLink(firstDate)}T${event.endTime}:00`;
-        
-        // Outlook Web via link simples não suporta RRULE complexa facilmente na URL GET,
-        // então mantemos o aviso no corpo para o usuário configurar.
-        return `${baseUrl}&subject=${title}&startdt=${startStr}&enddt=${endStr}&body=${details}&location=${location}`;
+    /**
+     * Mostra a caixa de erro com o botão de copiar o relatório de diagnóstico.
+     * @param {Object} failure - O erro (ver buildDiagnosticReport).
+     */
+    const showExtractionFailure = failure => {
+        diagnosticReport = buildDiagnosticReport(failure);
+        copyDiagnosticsBtn.style.display = 'block';
+        errorMessage.style.display = 'block';
     };
 
     /**
-     * Lida com o clique no botão "Extrair Grade Horária", enviando uma mensagem
-     * para o content script e processando a resposta.
+     * Mostra o andamento da extração: a leitura da grade e, depois, cada disciplina.
+     * @param {{current: number, total: number, code: string}} progress - O andamento.
      */
-    extractBtn.addEventListener('click', async () => {
+    const showExtractionProgress = ({ current, total, code }) => {
+        extractionProgressBar.max = Math.max(total, 1);
+        extractionProgressBar.value = current;
+        extractionProgressLabel.textContent = current === 0
+            ? `Grade lida: ${total} disciplina(s). Buscando detalhes...`
+            : `Disciplina ${current} de ${total}: ${code}`;
+    };
+
+    /**
+     * Conversa com o content script por uma porta até a extração terminar.
+     * @param {number} tabId - A aba do Júpiter.
+     * @returns {Promise<Object>} A última mensagem: {type: 'result', success, data},
+     * {type: 'cancelled'} ou {type: 'error', message}.
+     */
+    const requestExtraction = tabId => new Promise((resolve, reject) => {
+        const port = browser.tabs.connect(tabId, { name: 'calendarusp-extract' });
+        extractionPort = port;
+
+        port.onMessage.addListener(message => {
+            if (message.type === 'progress') {
+                showExtractionProgress(message);
+                return;
+            }
+            extractionPort = null;
+            port.disconnect();
+            resolve(message);
+        });
+        port.onDisconnect.addListener(() => {
+            if (extractionPort !== port) return;
+            extractionPort = null;
+            reject(new Error('A página foi fechada ou recarregada durante a extração'));
+        });
+        port.postMessage({ action: 'extract' });
+    });
+
+    /**
+     * Pede a extração ao content script e processa a resposta, mostrando o
+     * andamento. As edições e a seleção de aulas que continuam na grade são mantidas.
+     */
+    const runExtraction = async () => {
         errorMessage.style.display = 'none';
+        copyDiagnosticsBtn.style.display = 'none';
+        statusMessage.style.display = 'block';
         statusMessage.textContent = 'Extraindo dados (isso pode levar alguns segundos)...';
+        extractBtn.disabled = true;
+        refreshBtn.disabled = true;
+        extractionProgressBar.removeAttribute('value');
+        extractionProgressLabel.textContent = 'Lendo a grade...';
+        cancelExtractionBtn.disabled = false;
+        extractionProgress.style.display = 'block';
 
         try {
             const [tab] = await browser.tabs.query({ active: true, currentWindow: true });
             
+            // Ponte no contexto da própria página, para buscar os detalhes das
+            // disciplinas sem clicar em cada uma. Sem ela, content.js usa os cliques.
             await browser.scripting.executeScript({
                 target: { tabId: tab.id },
-                files: ['content.js']
+                files: ['page-bridge.js'],
+                world: 'MAIN'
+            }).catch(error => console.warn('CalendarUSP: Ponte com a página indisponível.', error));
+
+            // content.js só é injetado uma vez por página
+            const [{ result: contentLoaded }] = await browser.scripting.executeScript({
+                target: { tabId: tab.id },
+                func: () => Boolean(window.calendarUspContentLoaded)
             });
+            if (!contentLoaded) {
+                await browser.scripting.executeScript({
+                    target: { tabId: tab.id },
+                    files: ['professors.js', 'schedule-parser.js', 'content.js']
+                });
+            }
 
-            const response = await browser.tabs.sendMessage(tab.id, { action: "extract" });
+            const response = await requestExtraction(tab.id);
 
-            if (response && response.success && response.data.length > 0) {
+            if (response.type === 'cancelled') {
+                statusMessage.textContent = 'Extração cancelada.';
+            } else if (response.type === 'result' && response.success && response.data.length > 0) {
                 extractedEvents = response.data;
-                statusMessage.style.display = 'none';
-                extractBtn.style.display = 'none';
-                resultsContainer.style.display = 'block';
-                displayResults(extractedEvents);
+                extractedAt = new Date().toISOString();
+                showResults();
+                persistState();
+            } else if (response.type === 'error') {
+                errorMessage.querySelector('p').innerText = `Erro: ${response.message}. Tente recarregar a página do Júpiter.`;
+                showExtractionFailure({ message: response.message, diagnostics: response.diagnostics });
+                statusMessage.textContent = 'Erro ao extrair.';
             } else {
-                errorMessage.style.display = 'block';
+                if (response.error) {
+                    errorMessage.querySelector('p').innerText = `Erro: ${response.error.message} Verifique se a aba aberta é a grade horária do JúpiterWeb.`;
+                }
+                showExtractionFailure({
+                    ...(response.error || { message: 'A grade foi lida, mas não tem aulas.' }),
+                    diagnostics: response.diagnostics
+                });
                 statusMessage.textContent = 'Erro ao extrair.';
             }
         } catch (error) {
             console.error(error);
             const p = errorMessage.querySelector('p');
             p.innerText = `Erro: ${error.message}. Tente recarregar a página do Júpiter.`;
-            errorMessage.style.display = 'block';
+            showExtractionFailure({ message: error.message });
             statusMessage.textContent = 'Falha.';
+        } finally {
+            extractionProgress.style.display = 'none';
+            extractBtn.disabled = false;
+            refreshBtn.disabled = false;
         }
+    };
+
+    copyDiagnosticsBtn.addEventListener('click', async () => {
+        try {
+            await navigator.clipboard.writeText(diagnosticReport);
+            copyDiagnosticsBtn.textContent = 'Relatório copiado!';
+        } catch (error) {
+            console.error(error);
+            copyDiagnosticsBtn.textContent = 'Não foi possível copiar';
+        }
+        setTimeout(() => {
+            copyDiagnosticsBtn.textContent = 'Copiar relatório de diagnóstico';
+        }, 2000);
     });
 
+    // Interrompe a extração; o content script restaura a página e responde 'cancelled'.
+    cancelExtractionBtn.addEventListener('click', () => {
+        if (!extractionPort) return;
+        cancelExtractionBtn.disabled = true;
+        extractionProgressLabel.textContent = 'Cancelando...';
+        extractionPort.postMessage({ action: 'cancel' });
+    });
+
+    /**
+     * Lida com o clique no botão "Extrair Grade Horária".
+     */
+    extractBtn.addEventListener('click', runExtraction);
+
+    // Extrai de novo a grade da página aberta, substituindo a versão salva.
+    refreshBtn.addEventListener('click', runExtraction);
+
     const displayResults = (events) => {
         classList.innerHTML = '';
+        renderProfessorFilter();
+        const nonTeachingDays = currentNonTeachingDays();
+        const conflicts = findScheduleConflicts(getSelectedItems());
+        let currentCode = null;
+
+        // Descarta escolhas de conflitos que deixaram de existir (aula desmarcada ou editada)
+        const conflictIds = new Set(conflicts.map(conflict => conflict.id));
+        Object.keys(conflictResolutions).forEach(id => {
+            if (!conflictIds.has(id)) delete conflictResolutions[id];
+        });
+        conflictSummary.textContent = conflicts.length > 0
+            ? `⚠ ${conflicts.length} conflito(s) de horário entre as aulas selecionadas.`
+            : '';
+        conflictSummary.style.display = conflicts.length > 0 ? 'block' : 'none';
         
-        events.forEach(event => {
+        events.forEach(original => {
+            const key = getEventKey(original);
+            const event = applyEventEdits(original, eventEdits[key]);
+            if (!matchesProfessorFilter(event)) return;
+
+            if (original.code !== currentCode) {
+                currentCode = original.code;
+                classList.appendChild(renderGroupHeader(currentCode, event.title, events));
+            }
+
             let firstClassDate;
             if (event.startDate) {
                 firstClassDate = calculateFirstClassDate(event.startDate, event.day);
@@ -189,122 +599,486 @@ document.addEventListener('DOMContentLoaded', () => {
                 firstClassDate = calculateFirstClassDate(new Date(), event.day);
             }
 
-            const googleLink = createGoogleCalendarLink(event, firstClassDate);
-            const outlookLink = createOutlookCalendarLink(event, firstClassDate);
+            const skippedDates = getSkippedDates(event, nonTeachingDays);
+            const googleLink = createGoogleCalendarLink(event, firstClassDate, skippedDates);
+
+            const override = reminderSettings.overrides[event.code];
+            const reminderValue = override === undefined ? '' : (override === null ? 'none' : String(override));
 
             // Cria o elemento do cartão (Card)
             const li = document.createElement('li');
             li.className = 'class-card';
+            li.dataset.key = key;
+            // Aulas editadas mantêm a borda de destaque; as demais usam a cor da disciplina
+            if (eventEdits[key]) {
+                li.classList.add('edited');
+            } else {
+                li.style.borderLeftColor = getDisciplineColor(event.code);
+            }
+            if (excludedKeys.has(key)) li.classList.add('excluded');
+
+            const cardConflicts = conflicts.filter(conflict => conflict.a.key === key || conflict.b.key === key);
+            if (cardConflicts.length > 0) li.classList.add('conflict');
 
             // HTML Interno do Card
             li.innerHTML = `
-                <div class="class-title">${event.title}</div>
+                <div class="class-header">
+                    <label class="class-title">
+                        <input type="checkbox" class="select-event" data-key="${escapeHtml(key)}"${excludedKeys.has(key) ? '' : ' checked'}>
+                        ${escapeHtml(event.title)}
+                    </label>
+                    <button type="button" class="edit-toggle" data-key="${escapeHtml(key)}">
+                        ${openEditors.has(key) ? 'Fechar' : 'Editar'}
+                    </button>
+                </div>
                 <div class="class-info">
                     <div>
                         <svg class="icon" viewBox="0 0 20 20"><path fill-rule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm1-12a1 1 0 10-2 0v4a1 1 0 00.293.707l2.828 2.829a1 1 0 101.415-1.415L11 9.586V6z" clip-rule="evenodd"/></svg>
-                        <strong>${event.day}</strong> • ${event.startTime} - ${event.endTime}
+                        <strong>${escapeHtml(event.day)}</strong> • ${escapeHtml(event.startTime)} - ${escapeHtml(event.endTime)}
                     </div>
+                    ${event.location ? `
+                    <div>
+                        <svg class="icon" viewBox="0 0 20 20"><path fill-rule="evenodd" d="M5.05 4.05a7 7 0 119.9 9.9L10 18.9l-4.95-4.95a7 7 0 010-9.9zM10 11a2 2 0 100-4 2 2 0 000 4z" clip-rule="evenodd"/></svg>
+                        ${escapeHtml(event.location)}
+                    </div>` : ''}
                     <div class="class-prof">
                         <svg class="icon" viewBox="0 0 20 20"><path fill-rule="evenodd" d="M10 9a3 3 0 100-6 3 3 0 000 6zm-7 9a7 7 0 1114 0H3z" clip-rule="evenodd"/></svg>
-                        ${event.professors || 'Prof. não identificado'}
+                        ${escapeHtml(event.professors || 'Prof. não identificado')}
                     </div>
+                    ${event.period && event.endDate ? `
+                    <div>
+                        Período: ${formatShortDate(toIsoDateString(new Date(event.startDate)))} a ${formatShortDate(toIsoDateString(new Date(event.endDate)))}
+                    </div>` : ''}
+                    ${skippedDates.length > 0 ? `
+                    <div class="class-skipped">
+                        Sem aula: ${skippedDates.map(day => `${formatShortDate(day.date)} (${day.name})`).join(', ')}
+                    </div>` : ''}
                 </div>
+                ${renderConflictBox(key, cardConflicts)}
+                ${openEditors.has(key) ? renderEditor(key, original, event) : ''}
+                <label class="card-reminder">
+                    Lembrete:
+                    <select class="reminder-select" data-code="${escapeHtml(event.code)}">
+                        ${buildReminderOptions(reminderValue, true)}
+                    </select>
+                </label>
                 <div class="card-actions">
-                    <a href="${googleLink}" target="_blank" class="action-link google-btn">
+                    <a href="${escapeHtml(googleLink)}" target="_blank" class="action-link google-btn">
                         <svg class="icon" viewBox="0 0 24 24"><path d="M12.545,10.239v3.821h5.445c-0.712,2.315-2.647,3.972-5.445,3.972c-3.332,0-6.033-2.701-6.033-6.032s2.701-6.032,6.033-6.032c1.498,0,2.866,0.549,3.921,1.453l2.814-2.814C17.503,2.988,15.139,2,12.545,2C7.021,2,2.543,6.477,2.543,12s4.478,10,10.002,10c8.396,0,10.249-7.85,9.426-11.748L12.545,10.239z"/></svg>
                         Google
                     </a>
-                    <a href="${outlookLink}" target="_blank" class="action-link outlook-btn">
+                    <button type="button" class="action-link outlook-btn" data-key="${escapeHtml(key)}"
+                        title="Baixa um .ics com a aula recorrente; abra-o no Outlook">
                         <svg class="icon" viewBox="0 0 24 24"><path d="M23,12l-2.44-2.79l0.34-3.69l-3.61-0.82L15.4,1.5L12,2.96L8.6,1.5L6.71,4.69L3.1,5.5L3.44,9.2L1,12l2.44,2.79l-0.34,3.7l3.61,0.82L8.6,22.5l3.4-1.47l3.4,1.46l1.89-3.19l3.61-0.82l-0.34-3.69L23,12z M10.09,16.72l-3.8-3.81l1.48-1.48l2.32,2.33l5.85-5.87l1.48,1.48L10.09,16.72z"/></svg>
                         Outlook
-                    </a>
+                    </button>
                 </div>
             `;
             
             classList.appendChild(li);
         });
+
+        updateSelectionSummary();
+        renderAssessments();
+        if (currentView === 'grid') displayTimetable();
+    };
+
+    /**
+     * Lista as provas e entregas encontradas nas observações das aulas selecionadas.
+     */
+    const renderAssessments = () => {
+        const assessments = collectAssessments(getSelectedEvents());
+        assessmentCount.textContent = assessments.length;
+        exportAssessmentsBtn.disabled = assessments.length === 0;
+        assessmentList.innerHTML = assessments.length === 0
+            ? '<li class="snapshot-empty">Nenhuma data de avaliação encontrada nas observações.</li>'
+            : assessments.map(assessment => `
+                <li>
+                    <span>${formatShortDate(assessment.date)}${assessment.time ? ` ${assessment.time}` : ''} · ${escapeHtml(assessment.code)} · ${escapeHtml(assessment.label)}</span>
+                    <small>${escapeHtml(assessment.source)}</small>
+                </li>`).join('');
+    };
+
+    /**
+     * Desenha a grade semanal com as aulas (as desmarcadas aparecem esmaecidas).
+     * Clicar num bloco volta para a lista e destaca o cartão da aula.
+     */
+    const displayTimetable = () => {
+        const items = extractedEvents.map(original => {
+            const key = getEventKey(original);
+            return { key, event: applyEventEdits(original, eventEdits[key]), excluded: excludedKeys.has(key) };
+        }).filter(item => matchesProfessorFilter(item.event));
+        renderTimetable(timetableView, items, (key) => {
+            setView('list');
+            const card = classList.querySelector(`li[data-key="${CSS.escape(key)}"]`);
+            if (!card) return;
+            card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            card.classList.add('highlight');
+            setTimeout(() => card.classList.remove('highlight'), 1500);
+        });
+    };
+
+    /**
+     * Alterna entre a lista de cartões e a grade semanal.
+     * @param {string} view - 'list' ou 'grid'.
+     */
+    const setView = (view) => {
+        currentView = view;
+        listViewBtn.classList.toggle('active', view === 'list');
+        gridViewBtn.classList.toggle('active', view === 'grid');
+        classList.style.display = view === 'list' ? 'block' : 'none';
+        timetableView.style.display = view === 'grid' ? 'block' : 'none';
+        if (view === 'grid') displayTimetable();
     };
 
     /**
      * Gera e inicia o download de um arquivo .ics contendo todas as aulas extraídas.
      */
     exportIcsBtn.addEventListener('click', () => {
-        if (extractedEvents.length === 0) return;
+        const events = getSelectedEvents();
+        if (events.length === 0) return;
+
+        const nonTeachingDays = currentNonTeachingDays();
+        const icsContent = buildIcsCalendar(events, {
+            nonTeachingDays,
+            includeHolidays: holidayEventsToggle.checked,
+            holidayDays: filterDaysForSchedule(nonTeachingDays, events),
+            reminders: reminderSettings
+        });
+
+        downloadFile(icsContent, 'grade_horaria_usp.ics', 'text/calendar;charset=utf-8');
+    });
 
-        let icsContent = [
-            'BEGIN:VCALENDAR',
-            'VERSION:2.0',
-            'PRODID:-//CalendarUSP//ExportadorGradeHoraria//PT',
-            'CALSCALE:GREGORIAN',
-            'BEGIN:VTIMEZONE',
-            'TZID:America/Sao_Paulo',
-            'BEGIN:STANDARD',
-            'DTSTART:19700101T000000',
-            'TZOFFSETFROM:-0300',
-            'TZOFFSETTO:-0300',
-            'TZNAME:BRT',
-            'END:STANDARD',
-            'END:VTIMEZONE'
+    exportAssessmentsBtn.addEventListener('click', () => {
+        const assessments = collectAssessments(getSelectedEvents());
+        if (assessments.length === 0) return;
+        downloadFile(buildAssessmentCalendar(assessments), 'calendario_de_provas_usp.ics', 'text/calendar;charset=utf-8');
+    });
+
+    exportCsvBtn.addEventListener('click', () => {
+        const events = getSelectedEvents();
+        if (events.length === 0) return;
+        downloadFile(buildScheduleCsv(events), 'grade_horaria_usp.csv', 'text/csv;charset=utf-8');
+    });
+
+    exportJsonBtn.addEventListener('click', () => {
+        const events = getSelectedEvents();
+        if (events.length === 0) return;
+        downloadFile(buildScheduleJson(events), 'grade_horaria_usp.json', 'application/json');
+    });
+
+    exportPngBtn.addEventListener('click', () => {
+        const events = getSelectedEvents();
+        if (events.length === 0) return;
+
+        const canvas = document.createElement('canvas');
+        drawTimetableImage(canvas, events.map(event => ({ key: getEventKey(event), event })), {
+            orientation: printOrientationSelect.value
+        });
+        canvas.toBlob(blob => {
+            downloadFile(blob, `grade_horaria_usp_${printOrientationSelect.value === 'landscape' ? 'paisagem' : 'retrato'}.png`, 'image/png');
+        }, 'image/png');
+    });
+
+    // A página de impressão abre numa aba própria e lê as aulas do armazenamento.
+    openPrintBtn.addEventListener('click', async () => {
+        const events = getSelectedEvents();
+        if (events.length === 0) return;
+
+        await savePrintTimetable(events);
+        await browser.tabs.create({
+            url: browser.runtime.getURL(`print.html?orientation=${printOrientationSelect.value}`)
+        });
+    });
+
+    // A importação abre numa aba própria: no Firefox, o diálogo de escolha de
+    // arquivo fecha o popup antes que ele leia o arquivo.
+    [importLink, importJsonLink].forEach(link => link.addEventListener('click', async (e) => {
+        e.preventDefault();
+        await browser.tabs.create({ url: browser.runtime.getURL('import.html') });
+    }));
+
+    /**
+     * Descreve uma aula em uma linha (ex: "MAC0110 · Segunda-feira 08:00-09:40").
+     * @param {Object} event - O objeto da aula.
+     * @returns {string} A descrição curta.
+     */
+    const describeSlot = (event) => `${event.code} · ${event.day} ${event.startTime}-${event.endTime}`;
+
+    /**
+     * Lista as versões salvas da grade, com as ações de comparar e apagar.
+     */
+    const renderSnapshots = async () => {
+        const snapshots = await listSnapshots();
+        snapshotList.innerHTML = snapshots.length === 0
+            ? '<li class="snapshot-empty">Nenhuma versão salva.</li>'
+            : snapshots.map(snapshot => `
+                <li class="snapshot-item">
+                    <span>
+                        <strong>${escapeHtml(snapshot.name)}</strong>
+                        <small>${new Date(snapshot.createdAt).toLocaleString('pt-BR')} · ${snapshot.events.length} aulas</small>
+                    </span>
+                    <button type="button" class="compare-snapshot" data-id="${escapeHtml(snapshot.id)}">Comparar</button>
+                    <button type="button" class="delete-snapshot" data-id="${escapeHtml(snapshot.id)}">Apagar</button>
+                </li>`).join('');
+    };
+
+    /**
+     * Mostra as diferenças entre uma versão salva e a grade atual, com a opção de
+     * baixar só as alterações.
+     * @param {Object} snapshot - A versão salva.
+     */
+    const renderDiff = (snapshot) => {
+        const diff = diffSchedules(snapshot.events, getSelectedEvents());
+        const total = diff.added.length + diff.removed.length + diff.changed.length;
+
+        if (total === 0) {
+            diffResults.innerHTML = `<p>Nenhuma alteração desde "${escapeHtml(snapshot.name)}".</p>`;
+            return;
+        }
+
+        const items = [
+            ...diff.added.map(event => `<li class="diff-added">+ ${escapeHtml(describeSlot(event))}</li>`),
+            ...diff.removed.map(event => `<li class="diff-removed">− ${escapeHtml(describeSlot(event))}</li>`),
+            ...diff.changed.map(({ before, fields }) => `
+                <li class="diff-changed">~ ${escapeHtml(describeSlot(before))}
+                    <small>${fields.map(field => `${field.label}: ${escapeHtml(field.before || '—')} → ${escapeHtml(field.after || '—')}`).join('; ')}</small>
+                </li>`)
         ];
 
-        extractedEvents.forEach(event => {
-            const dayInitial = getDayInitial(event.day);
-            if (!dayInitial) return;
+        diffResults.innerHTML = `
+            <p>Desde "${escapeHtml(snapshot.name)}": ${diff.added.length} nova(s), ${diff.removed.length} removida(s), ${diff.changed.length} alterada(s).</p>
+            <ul class="diff-list">${items.join('')}</ul>
+            <button type="button" id="export-diff-btn">Baixar alterações (.ics)</button>
+        `;
 
-            // Calcular primeira aula
-            let firstClassDate;
-            if (event.startDate) {
-                firstClassDate = calculateFirstClassDate(event.startDate, event.day);
+        diffResults.querySelector('#export-diff-btn').addEventListener('click', () => {
+            const icsContent = buildIcsUpdateCalendar(diff, {
+                nonTeachingDays: currentNonTeachingDays(),
+                reminders: reminderSettings
+            });
+            downloadFile(icsContent, 'grade_horaria_usp_alteracoes.ics', 'text/calendar;charset=utf-8');
+        });
+    };
+
+    // Envio para uma coleção CalDAV configurada pelo usuário.
+    caldavSyncBtn.addEventListener('click', async () => {
+        const events = getSelectedEvents();
+        if (events.length === 0) return;
+
+        let origin;
+        try {
+            const url = new URL(caldavUrlInput.value.trim());
+            origin = `${url.protocol}//${url.hostname}/*`;
+        } catch (error) {
+            caldavSyncStatus.textContent = 'Informe a URL completa da agenda (coleção) CalDAV.';
+            return;
+        }
+
+        // A permissão para o servidor precisa ser pedida durante o clique. O pedido
+        // é recusado (com erro) para endereços fora de optional_host_permissions.
+        try {
+            if (!await browser.permissions.request({ origins: [origin] })) {
+                caldavSyncStatus.textContent = 'Sem permissão para acessar o servidor CalDAV.';
+                return;
+            }
+        } catch (error) {
+            console.error(error);
+            caldavSyncStatus.textContent = `Não foi possível pedir permissão para ${origin}: ${error.message}`;
+            return;
+        }
+
+        const settings = { collectionUrl: caldavUrlInput.value.trim(), username: caldavUsernameInput.value.trim() };
+        await saveCalDavSettings(settings);
+
+        caldavSyncBtn.disabled = true;
+        caldavSyncStatus.textContent = 'Enviando para o servidor CalDAV...';
+        try {
+            const result = await syncCalDavCollection(events, {
+                request: createCalDavClient({ username: settings.username, password: caldavPasswordInput.value }),
+                collectionUrl: settings.collectionUrl,
+                nonTeachingDays: currentNonTeachingDays(),
+                reminders: reminderSettings
+            });
+            caldavSyncStatus.textContent = `${result.created} criada(s), ${result.updated} atualizada(s), ` +
+                `${result.deleted} removida(s).` +
+                (result.conflicts.length > 0
+                    ? ` ${result.conflicts.length} evento(s) alterado(s) em outro lugar foram mantidos: ${result.conflicts.join(', ')}.`
+                    : '');
+        } catch (error) {
+            console.error(error);
+            caldavSyncStatus.textContent = `Erro: ${error.message}`;
+        } finally {
+            caldavSyncBtn.disabled = false;
+        }
+    });
+
+    loadCalDavSettings().then(settings => {
+        caldavUrlInput.value = settings.collectionUrl;
+        caldavUsernameInput.value = settings.username;
+    });
+
+    saveSnapshotBtn.addEventListener('click', async () => {
+        const events = getSelectedEvents();
+        if (events.length === 0) return;
+
+        const name = snapshotNameInput.value.trim() || `Versão de ${new Date().toLocaleDateString('pt-BR')}`;
+        await saveSnapshot(name, events);
+        snapshotNameInput.value = '';
+        renderSnapshots();
+    });
+
+    snapshotList.addEventListener('click', async (e) => {
+        const button = e.target.closest('button');
+        if (!button) return;
+
+        const { id } = button.dataset;
+        if (button.classList.contains('compare-snapshot')) {
+            const snapshot = (await listSnapshots()).find(item => item.id === id);
+            if (snapshot) renderDiff(snapshot);
+        } else if (button.classList.contains('delete-snapshot')) {
+            await deleteSnapshot(id);
+            diffResults.innerHTML = '';
+            renderSnapshots();
+        }
+    });
+
+    // As datas puladas dependem do campus escolhido.
+    campusSelect.addEventListener('change', () => {
+        if (extractedEvents.length > 0) refreshResults();
+    });
+
+    // O lembrete de um cartão vale para todas as aulas da mesma disciplina.
+    classList.addEventListener('change', (e) => {
+        if (!e.target.classList.contains('reminder-select')) return;
+
+        const code = e.target.dataset.code;
+        if (e.target.value === '') {
+            delete reminderSettings.overrides[code];
+        } else {
+            reminderSettings.overrides[code] = e.target.value === 'none' ? null : parseInt(e.target.value, 10);
+        }
+        updateReminderNote();
+        refreshResults();
+    });
+
+    // Escolha de qual aula manter em cada conflito de horário.
+    classList.addEventListener('change', (e) => {
+        if (!e.target.classList.contains('conflict-select')) return;
+        conflictResolutions[e.target.dataset.conflict] = e.target.value;
+        refreshResults();
+    });
+
+    // Seleção das aulas exportadas, por cartão ou pela disciplina inteira.
+    classList.addEventListener('change', (e) => {
+        if (e.target.classList.contains('select-event')) {
+            const { key } = e.target.dataset;
+            if (e.target.checked) {
+                excludedKeys.delete(key);
             } else {
-                firstClassDate = calculateFirstClassDate(new Date(), event.day);
+                excludedKeys.add(key);
             }
+        } else if (e.target.classList.contains('select-group')) {
+            const { code } = e.target.dataset;
+            extractedEvents
+                .filter(event => event.code === code)
+                .forEach(event => {
+                    if (e.target.checked) {
+                        excludedKeys.delete(getEventKey(event));
+                    } else {
+                        excludedKeys.add(getEventKey(event));
+                    }
+                });
+        } else {
+            return;
+        }
+        refreshResults();
+    });
+
+    listViewBtn.addEventListener('click', () => setView('list'));
+    gridViewBtn.addEventListener('click', () => setView('grid'));
+
+    professorFilterSelect.addEventListener('change', () => {
+        professorFilter = professorFilterSelect.value;
+        displayResults(extractedEvents);
+    });
+
+    selectAllBtn.addEventListener('click', () => {
+        excludedKeys.clear();
+        refreshResults();
+    });
+
+    selectNoneBtn.addEventListener('click', () => {
+        extractedEvents.forEach(event => excludedKeys.add(getEventKey(event)));
+        refreshResults();
+    });
 
-            const dtstart = formatDateTimeForCalendar(firstClassDate, event.startTime);
-            const dtend = formatDateTimeForCalendar(firstClassDate, event.endTime);
-
-            // Regra de recorrência
-            let rrule = `RRULE:FREQ=WEEKLY;BYDAY=${dayInitial}`;
-            if (event.endDate) {
-                // Formata UNTIL para UTC (aproximado, adicionando Z ao final da string local formatada 
-                // para garantir que a data final inclua a última aula)
-                const endD = new Date(event.endDate);
-                endD.setHours(23, 59, 59);
-                
-                // Formato básico para iCal UNTIL: YYYYMMDDTHHMMSSZ
-                const y = endD.getFullYear();
-                const m = (endD.getMonth() + 1).toString().padStart(2, '0');
-                const d = endD.getDate().toString().padStart(2, '0');
-                const h = endD.getHours().toString().padStart(2, '0');
-                const min = endD.getMinutes().toString().padStart(2, '0');
-                const s = endD.getSeconds().toString().padStart(2, '0');
-                
-                rrule += `;UNTIL=${y}${m}${d}T${h}${min}${s}Z`;
+    // Edição inline: grava o campo alterado e redesenha o cartão com links atualizados.
+    classList.addEventListener('change', (e) => {
+        if (!e.target.classList.contains('edit-field')) return;
+
+        const { key, field: fieldName } = e.target.dataset;
+        const field = EDITABLE_FIELDS.find(f => f.name === fieldName);
+        const original = extractedEvents.find(event => getEventKey(event) === key);
+        if (!field || !original) return;
+
+        const value = fromFieldInputValue(field, e.target.value);
+        const edits = eventEdits[key] || {};
+        if (value === (original[fieldName] || (field.type === 'date' ? null : ''))) {
+            delete edits[fieldName];
+        } else {
+            edits[fieldName] = value;
+        }
+
+        if (Object.keys(edits).length > 0) {
+            eventEdits[key] = edits;
+        } else {
+            delete eventEdits[key];
+        }
+        refreshResults();
+    });
+
+    classList.addEventListener('click', (e) => {
+        const toggle = e.target.closest('.edit-toggle');
+        if (toggle) {
+            const { key } = toggle.dataset;
+            if (openEditors.has(key)) {
+                openEditors.delete(key);
             } else {
-                rrule += `;COUNT=18`;
+                openEditors.add(key);
             }
+            refreshResults();
+            return;
+        }
 
-            icsContent.push(
-                'BEGIN:VEVENT',
-                `DTSTART;TZID=America/Sao_Paulo:${dtstart}`,
-                `DTEND;TZID=America/Sao_Paulo:${dtend}`,
-                rrule,
-                `SUMMARY:${event.title}`,
-                `DESCRIPTION:${event.description.replace(/\n/g, '\\n')}`,
-                `LOCATION:${event.location}`,
-                'END:VEVENT'
-            );
-        });
+        const outlookBtn = e.target.closest('.outlook-btn');
+        if (outlookBtn) {
+            downloadOutlookEvent(outlookBtn.dataset.key);
+            return;
+        }
 
-        icsContent.push('END:VCALENDAR');
+        const revert = e.target.closest('.revert-field');
+        if (revert) {
+            e.preventDefault();
+            const { key, field } = revert.dataset;
+            if (eventEdits[key]) {
+                delete eventEdits[key][field];
+                if (Object.keys(eventEdits[key]).length === 0) delete eventEdits[key];
+            }
+            refreshResults();
+        }
+    });
 
-        const blob = new Blob([icsContent.join('\r\n')], { type: 'text/calendar;charset=utf-8' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = 'grade_horaria_usp.ics';
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+    reminderDefaultSelect.addEventListener('change', () => {
+        const value = reminderDefaultSelect.value;
+        reminderSettings.defaultMinutes = value === 'none' ? null : parseInt(value, 10);
+        updateReminderNote();
+        persistState();
     });
+
+    holidayEventsToggle.addEventListener('change', persistState);
+
+    reminderDefaultSelect.innerHTML = buildReminderOptions('none', false);
+    loadAcademicCalendar().then(restoreLastSchedule);
+    renderSnapshots();
 });
\ No newline at end of file
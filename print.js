@@ -0,0 +1,97 @@
+/**
+ * @file print.js
+ * @description Página de impressão da grade semanal (print.html): desenha as
+ * aulas enviadas pelo popup numa folha A4, em retrato ou paisagem, pronta para
+ * imprimir ou salvar como PDF pelo diálogo de impressão do navegador.
+ */
+
+/**
+ * Altura, em milímetros, da área das aulas numa folha A4 (descontadas as margens,
+ * o título e os nomes dos dias).
+ * @type {Object<string, number>}
+ */
+const PRINT_GRID_HEIGHT_MM = { portrait: 250, landscape: 160 };
+
+/**
+ * Desenha a grade de impressão.
+ * @param {HTMLElement} container - O elemento que recebe a grade.
+ * @param {Array<Object>} events - As aulas.
+ * @param {string} orientation - 'portrait' ou 'landscape'.
+ */
+function renderPrintTimetable(container, events, orientation) {
+    const layout = buildTimetableLayout(events.map((event, index) => ({ key: String(index), event })));
+    const hourCount = Math.max(layout.endHour - layout.startHour, 1);
+    const hourHeight = PRINT_GRID_HEIGHT_MM[orientation] / hourCount;
+
+    const grid = document.createElement('div');
+    grid.className = 'print-grid';
+    grid.style.gridTemplateColumns = `12mm repeat(${layout.days.length}, 1fr)`;
+
+    grid.appendChild(document.createElement('div'));
+    layout.days.forEach(day => {
+        const header = document.createElement('div');
+        header.className = 'print-day';
+        header.textContent = day.split('-')[0];
+        grid.appendChild(header);
+    });
+
+    const hourColumn = document.createElement('div');
+    hourColumn.className = 'print-hours';
+    for (let hour = layout.startHour; hour < layout.endHour; hour++) {
+        const label = document.createElement('div');
+        label.style.height = `${hourHeight}mm`;
+        label.textContent = `${hour.toString().padStart(2, '0')}h`;
+        hourColumn.appendChild(label);
+    }
+    grid.appendChild(hourColumn);
+
+    const columns = layout.days.map(() => {
+        const column = document.createElement('div');
+        column.className = 'print-column';
+        column.style.height = `${hourHeight * hourCount}mm`;
+        column.style.backgroundSize = `100% ${hourHeight}mm`;
+        grid.appendChild(column);
+        return column;
+    });
+
+    layout.blocks.forEach(({ event, dayIndex, startMinutes, endMinutes }) => {
+        const block = document.createElement('div');
+        block.className = 'print-block';
+        block.style.top = `${(startMinutes - layout.startHour * 60) / 60 * hourHeight}mm`;
+        block.style.height = `${(endMinutes - startMinutes) / 60 * hourHeight}mm`;
+        block.style.backgroundColor = getDisciplineColor(event.code);
+
+        const lines = [
+            ['strong', '', `${event.code} · ${event.startTime}-${event.endTime}`],
+            ['span', '', event.title !== event.code ? event.title : ''],
+            ['span', 'print-location', event.location],
+            ['span', '', event.professors]
+        ];
+        lines.filter(([, , text]) => text).forEach(([tag, className, text]) => {
+            const line = document.createElement(tag);
+            if (className) line.className = className;
+            line.textContent = text;
+            block.appendChild(line);
+        });
+        columns[dayIndex].appendChild(block);
+    });
+
+    container.innerHTML = '';
+    container.appendChild(grid);
+}
+
+document.addEventListener('DOMContentLoaded', async () => {
+    const orientation = new URLSearchParams(window.location.search).get('orientation') === 'landscape'
+        ? 'landscape'
+        : 'portrait';
+    document.getElementById('page-style').textContent = `@page { size: A4 ${orientation}; margin: 10mm; }`;
+    document.getElementById('print-btn').addEventListener('click', () => window.print());
+
+    const events = await loadPrintTimetable();
+    const container = document.getElementById('print-timetable');
+    if (events.length === 0) {
+        container.textContent = 'Nenhuma aula para imprimir. Abra esta página pelo popup da extensão.';
+        return;
+    }
+    renderPrintTimetable(container, events, orientation);
+});
@@ -0,0 +1,41 @@
+/**
+ * @file professors.js
+ * @description Formato do campo "professors" das aulas, compartilhado pela leitura
+ * da página (schedule-parser.js), pelos geradores de calendário e pelo popup.
+ */
+
+/**
+ * Texto que a extração usa quando o Júpiter não informa o professor do horário.
+ * @type {string}
+ */
+const PROFESSOR_PLACEHOLDER = 'Docente não informado';
+
+/**
+ * Separador dos nomes no campo "professors". Não é a vírgula porque há nomes
+ * escritos como "Sobrenome, Nome".
+ * @type {string}
+ */
+const PROFESSOR_SEPARATOR = '; ';
+
+/**
+ * Monta o campo "professors" de uma aula a partir dos nomes.
+ * @param {Array<string>} names - Os nomes.
+ * @returns {string} Os nomes separados por PROFESSOR_SEPARATOR, ou o texto de
+ * professor não informado se não houver nenhum.
+ */
+function joinProfessorNames(names) {
+    return names.join(PROFESSOR_SEPARATOR) || PROFESSOR_PLACEHOLDER;
+}
+
+/**
+ * Lista os professores de uma aula a partir do campo "professors", sem o texto
+ * de professor não informado.
+ * @param {Object} event - O objeto da aula.
+ * @returns {Array<string>} Os nomes.
+ */
+function getProfessorNames(event) {
+    return (event.professors || '')
+        .split(PROFESSOR_SEPARATOR.trim())
+        .map(name => name.trim())
+        .filter(name => name && name !== PROFESSOR_PLACEHOLDER);
+}
@@ -0,0 +1,74 @@
+/**
+ * @file schedule-diff.js
+ * @description Compara duas versões da grade (uma foto salva e a extração atual)
+ * e classifica cada aula como adicionada, removida ou alterada.
+ */
+
+/**
+ * Campos comparados para decidir se uma aula mudou entre duas extrações.
+ * @type {Array<{name: string, label: string}>}
+ */
+const DIFF_FIELDS = [
+    { name: 'title', label: 'Título' },
+    { name: 'day', label: 'Dia' },
+    { name: 'startTime', label: 'Início' },
+    { name: 'endTime', label: 'Fim' },
+    { name: 'location', label: 'Local' },
+    { name: 'professors', label: 'Professor(a)' },
+    { name: 'startDate', label: 'Primeiro dia' },
+    { name: 'endDate', label: 'Último dia' }
+];
+
+/**
+ * Lista os campos que diferem entre duas versões de uma aula.
+ * @param {Object} before - A aula na versão antiga.
+ * @param {Object} after - A aula na versão nova.
+ * @returns {Array<{name: string, label: string, before: *, after: *}>} Os campos alterados.
+ */
+function getChangedFields(before, after) {
+    return DIFF_FIELDS
+        .filter(field => (before[field.name] || '') !== (after[field.name] || ''))
+        .map(field => ({ ...field, before: before[field.name], after: after[field.name] }));
+}
+
+/**
+ * Compara duas versões da grade. Aulas com o mesmo UID são comparadas campo a
+ * campo; as que sobram são pareadas pela disciplina e pelo dia, o que captura
+ * mudanças de horário (que alteram o UID). O resto é adição ou remoção.
+ * @param {Array<Object>} previousEvents - A versão antiga (foto salva).
+ * @param {Array<Object>} currentEvents - A versão nova (extração atual).
+ * @returns {{added: Array<Object>, removed: Array<Object>,
+ *   changed: Array<{before: Object, after: Object, fields: Array<Object>}>}} As diferenças.
+ */
+function diffSchedules(previousEvents, currentEvents) {
+    const removed = [];
+    const changed = [];
+    const remaining = new Map(currentEvents.map(event => [buildEventUid(event), event]));
+
+    previousEvents.forEach(before => {
+        const uid = buildEventUid(before);
+        const after = remaining.get(uid);
+        if (!after) {
+            removed.push(before);
+            return;
+        }
+        remaining.delete(uid);
+        const fields = getChangedFields(before, after);
+        if (fields.length > 0) changed.push({ before, after, fields });
+    });
+
+    const added = [...remaining.values()];
+
+    // Pareia remoções e adições da mesma disciplina no mesmo dia como alterações
+    for (let i = removed.length - 1; i >= 0; i--) {
+        const before = removed[i];
+        const index = added.findIndex(after => after.code === before.code && after.day === before.day);
+        if (index === -1) continue;
+
+        const [after] = added.splice(index, 1);
+        removed.splice(i, 1);
+        changed.push({ before, after, fields: getChangedFields(before, after) });
+    }
+
+    return { added, removed, changed };
+}
@@ -0,0 +1,159 @@
+/**
+ * @file schedule-export.js
+ * @description Exporta a grade como planilha (CSV) ou como dados (JSON) num
+ * formato documentado e versionado (ver "Formato dos arquivos CSV e JSON" no
+ * README), e importa de volta um JSON exportado antes.
+ */
+
+/**
+ * Identificador gravado no campo "format" dos arquivos JSON.
+ * @type {string}
+ */
+const SCHEDULE_EXPORT_FORMAT = 'calendarusp-grade';
+
+/**
+ * Versão atual do formato. Deve aumentar sempre que um campo mudar de nome ou de
+ * significado; campos novos e opcionais não mudam a versão.
+ * @type {number}
+ */
+const SCHEDULE_EXPORT_VERSION = 1;
+
+/**
+ * Campos de cada aula exportada, na ordem das colunas do CSV. "name" é a chave no
+ * JSON e "header" é o cabeçalho da coluna no CSV.
+ * @type {Array<{name: string, header: string}>}
+ */
+const SCHEDULE_EXPORT_COLUMNS = [
+    { name: 'code', header: 'Código' },
+    { name: 'turma', header: 'Turma' },
+    { name: 'title', header: 'Disciplina' },
+    { name: 'day', header: 'Dia' },
+    { name: 'startTime', header: 'Início' },
+    { name: 'endTime', header: 'Fim' },
+    { name: 'location', header: 'Local' },
+    { name: 'professors', header: 'Professor(a)' },
+    { name: 'startDate', header: 'Primeiro dia' },
+    { name: 'endDate', header: 'Último dia' }
+];
+
+/**
+ * Converte uma aula no registro exportado: datas como AAAA-MM-DD (ou null) e
+ * textos ausentes como string vazia.
+ * @param {Object} event - O objeto da aula.
+ * @returns {Object} O registro, com os campos de SCHEDULE_EXPORT_COLUMNS, as
+ * observações, a descrição e, se houver, o período.
+ */
+function toExportRecord(event) {
+    const record = {};
+    SCHEDULE_EXPORT_COLUMNS.forEach(({ name }) => {
+        if (name === 'startDate' || name === 'endDate') {
+            record[name] = event[name] ? toIsoDateString(new Date(event[name])) : null;
+        } else {
+            record[name] = event[name] || '';
+        }
+    });
+    record.notes = event.notes || '';
+    record.description = event.description || '';
+    if (event.period) record.period = event.period;
+    return record;
+}
+
+/**
+ * Converte um registro importado de volta numa aula, no mesmo formato da extração.
+ * @param {Object} record - O registro lido do JSON.
+ * @param {number} index - A posição do registro, para a mensagem de erro.
+ * @returns {Object} O objeto da aula.
+ */
+function fromExportRecord(record, index) {
+    const missing = ['code', 'title', 'day', 'startTime', 'endTime'].filter(name => !record[name]);
+    if (missing.length > 0) {
+        throw new Error(`A aula ${index + 1} do arquivo não tem: ${missing.join(', ')}.`);
+    }
+
+    const toDate = value => (value ? new Date(`${value}T00:00:00`).toISOString() : null);
+    const professors = record.professors || '';
+    const event = {
+        title: record.title,
+        code: record.code,
+        turma: record.turma || '',
+        day: record.day,
+        startTime: record.startTime,
+        endTime: record.endTime,
+        location: record.location || '',
+        startDate: toDate(record.startDate),
+        endDate: toDate(record.endDate),
+        professors,
+        notes: record.notes || '',
+        description: record.description || `Disciplina: ${record.code}\nProfessor(a): ${professors}`
+    };
+    if (record.period) event.period = record.period;
+    return event;
+}
+
+/**
+ * Gera o JSON da grade.
+ * @param {Array<Object>} events - As aulas a exportar.
+ * @param {Date} [now] - O momento da exportação.
+ * @returns {string} O conteúdo do arquivo .json.
+ */
+function buildScheduleJson(events, now = new Date()) {
+    return JSON.stringify({
+        format: SCHEDULE_EXPORT_FORMAT,
+        version: SCHEDULE_EXPORT_VERSION,
+        exportedAt: now.toISOString(),
+        events: events.map(toExportRecord)
+    }, null, 2);
+}
+
+/**
+ * Escapa um valor para uma célula CSV (RFC 4180).
+ * @param {*} value - O valor da célula.
+ * @returns {string} O valor pronto para o arquivo.
+ */
+function escapeCsvValue(value) {
+    const text = value == null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Gera o CSV da grade, separado por vírgulas e em UTF-8 com BOM, para que o
+ * Google Planilhas e o Excel reconheçam os acentos.
+ * @param {Array<Object>} events - As aulas a exportar.
+ * @returns {string} O conteúdo do arquivo .csv.
+ */
+function buildScheduleCsv(events) {
+    const rows = [SCHEDULE_EXPORT_COLUMNS.map(column => column.header)];
+    events.map(toExportRecord).forEach(record => {
+        rows.push(SCHEDULE_EXPORT_COLUMNS.map(column => record[column.name]));
+    });
+    return '\uFEFF' + rows.map(row => row.map(escapeCsvValue).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Lê um JSON exportado pela extensão.
+ * @param {string} text - O conteúdo do arquivo.
+ * @returns {{exportedAt: ?string, events: Array<Object>}} As aulas importadas.
+ */
+function parseScheduleJson(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error('O arquivo não é um JSON válido.');
+    }
+
+    if (!data || data.format !== SCHEDULE_EXPORT_FORMAT || !Array.isArray(data.events)) {
+        throw new Error('O arquivo não é uma grade exportada pelo CalendarUSP.');
+    }
+    if (data.version > SCHEDULE_EXPORT_VERSION) {
+        throw new Error(`O arquivo usa a versão ${data.version} do formato; atualize a extensão para importá-lo.`);
+    }
+    if (data.events.length === 0) {
+        throw new Error('O arquivo não tem nenhuma aula.');
+    }
+
+    return {
+        exportedAt: data.exportedAt || null,
+        events: data.events.map(fromExportRecord)
+    };
+}
@@ -0,0 +1,695 @@
+/**
+ * @file schedule-parser.js
+ * @description Leitura da grade horária do JúpiterWeb a partir do DOM, sem
+ * depender da extensão: a grade (#tableGradeHoraria), o painel de detalhes de uma
+ * disciplina (#tab_detalhes/#div_oferecimento) e a montagem das aulas. É usado por
+ * content.js na página aberta e por tools/jupiter-to-ics.js em páginas salvas, e
+ * depende de professors.js.
+ */
+
+/**
+ * Mapeia as abreviações dos dias da semana para os nomes completos em português.
+ * @type {Object<string, string>}
+ */
+const dayMap = {
+    'Seg': 'Segunda-feira', 'Ter': 'Terça-feira', 'Qua': 'Quarta-feira',
+    'Qui': 'Quinta-feira', 'Sex': 'Sexta-feira', 'Sab': 'Sábado', 'Dom': 'Domingo'
+};
+
+/**
+ * Converte uma data "dd/mm/aaaa" do Júpiter num Date à meia-noite local.
+ * @param {string} dateString - A data.
+ * @returns {Date|null} A data, ou null se o texto não for uma data.
+ */
+function parsePtDate(dateString) {
+    if (!dateString) return null;
+    const parts = dateString.split('/');
+    if (parts.length === 3) {
+        return new Date(`${parts[2]}-${parts[1]}-${parts[0]}T00:00:00`);
+    }
+    return null;
+}
+
+/**
+ * Converte o dia da semana como o Júpiter escreve (ex: "seg", "Segunda") no nome
+ * completo usado nos eventos.
+ * @param {string} dayStr - O dia.
+ * @returns {string} O nome completo (ex: "Segunda-feira").
+ */
+function normalizeDayName(dayStr) {
+    if (!dayStr) return "";
+    const clean = dayStr.trim().toLowerCase().substring(0, 3);
+    const capitalized = clean.charAt(0).toUpperCase() + clean.slice(1);
+    return dayMap[capitalized] || capitalized;
+}
+
+/**
+ * Texto visível de um elemento. Fora do navegador (jsdom, que não implementa
+ * innerText), usa o textContent.
+ * @param {Element} element - O elemento.
+ * @returns {string} O texto.
+ */
+function getElementText(element) {
+    return typeof element.innerText === 'string' ? element.innerText : element.textContent;
+}
+
+/**
+ * Função auxiliar para buscar texto ignorando elementos vazios (templates ocultos)
+ */
+function getTextFromSelectors(container, selector) {
+    const elements = container.querySelectorAll(selector);
+    for (const el of elements) {
+        const text = getElementText(el).trim();
+        if (text) return text; // Retorna o primeiro que tiver conteúdo
+    }
+    return "";
+}
+
+/**
+ * Reconhece rótulos de local no painel de oferecimento (ex: "Sala:", "Prédio:", "Local:").
+ * @type {RegExp}
+ */
+const locationLabelPattern = /^(local|sala|pr[ée]dio|bloco|edif[íi]cio)(\s+de\s+aula)?\s*(?::\s*(.*))?$/i;
+
+/**
+ * Procura a sala/prédio da turma no painel de oferecimento. Tenta primeiro campos
+ * dedicados e depois pares "rótulo: valor" fora da tabela de horários.
+ * @param {Element} container - O painel #div_oferecimento.
+ * @returns {string} O local encontrado ou uma string vazia.
+ */
+function extractOfferingLocation(container) {
+    const direct = getTextFromSelectors(container, '.local, .localtur, .sala, .predio');
+    if (direct) return direct;
+
+    const candidates = container.querySelectorAll('b, strong, label, th, td, span');
+    for (const el of candidates) {
+        if (el.closest('.horarios')) continue;
+        const match = getElementText(el).trim().match(locationLabelPattern);
+        if (!match) continue;
+
+        const value = (match[3] || "").trim() ||
+            (el.nextElementSibling ? getElementText(el.nextElementSibling).trim() : "");
+        if (value) return value;
+    }
+    return "";
+}
+
+/**
+ * Reconhece rótulos de observações no painel de oferecimento (ex: "Observações:",
+ * "Critérios de avaliação:").
+ * @type {RegExp}
+ */
+const notesLabelPattern = /^(observa[çc](?:ão|ões)|obs\.?|avalia[çc](?:ão|ões)|crit[ée]rios?\s+de\s+avalia[çc][ãa]o)\s*(?::\s*([\s\S]*))?$/i;
+
+/**
+ * Reconhece trechos que falam de avaliações (provas, entregas, seminários...).
+ * @type {RegExp}
+ */
+const assessmentTextPattern = /\b(provas?|p\d|avalia[çc](?:ão|ões)|exames?|testes?|entregas?|trabalhos?|semin[áa]rios?|projetos?|recupera[çc][ãa]o|substitutiva)\b/i;
+
+/**
+ * Reconhece uma data "dd/mm" ou "dd/mm/aaaa".
+ * @type {RegExp}
+ */
+const shortDatePattern = /\b\d{1,2}\/\d{1,2}(\/\d{2,4})?\b/;
+
+/**
+ * Coleta as observações do oferecimento: o campo de observações, quando existe,
+ * e qualquer trecho fora da tabela de horários que cite uma avaliação com data.
+ * @param {Element} container - O painel #div_oferecimento.
+ * @returns {Array<string>} As linhas de observação, sem repetições.
+ */
+function extractOfferingNotes(container) {
+    const notes = [];
+    const addLines = text => text.split(/\n+/).map(line => line.trim()).filter(Boolean).forEach(line => {
+        if (!notes.includes(line)) notes.push(line);
+    });
+
+    addLines(getTextFromSelectors(container, '.obstur, .observacao, .obs'));
+
+    for (const el of container.querySelectorAll('b, strong, label, th, td, span')) {
+        if (el.closest('.horarios')) continue;
+        const match = getElementText(el).trim().match(notesLabelPattern);
+        if (!match) continue;
+        addLines((match[2] || "").trim() || (el.nextElementSibling ? getElementText(el.nextElementSibling) : ""));
+    }
+
+    const walker = container.ownerDocument.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+        if (node.parentElement.closest('.horarios')) continue;
+        const text = node.data.trim();
+        if (assessmentTextPattern.test(text) && shortDatePattern.test(text)) addLines(text);
+    }
+    return notes;
+}
+
+/**
+ * Descobre qual coluna da tabela de horários (.horarios) traz o local da aula,
+ * quando o Júpiter a exibe.
+ * @param {Element} table - A tabela .horarios.
+ * @returns {number} O índice da coluna ou -1 se não houver.
+ */
+function findLocationColumn(table) {
+    const headerCells = table.querySelectorAll('thead th, thead td');
+    for (let i = 0; i < headerCells.length; i++) {
+        if (/local|sala|pr[ée]dio/i.test(getElementText(headerCells[i]))) return i;
+    }
+    return -1;
+}
+
+/**
+ * Encontra as linhas da tabela de horários do oferecimento que correspondem a um
+ * horário da grade. Quando não há linha com o mesmo início, aceita as linhas que
+ * contenham o horário (o Júpiter pode listar 08:00-09:40 numa linha só enquanto a
+ * grade divide o bloco em duas). Há mais de uma linha quando o mesmo horário tem
+ * períodos diferentes (ex: um módulo em cada metade do semestre).
+ * @param {Array<Object>} rows - As linhas lidas da tabela .horarios.
+ * @param {{day: string, startTime: string}} slot - O horário da grade.
+ * @returns {Array<Object>} As linhas correspondentes, na ordem da tabela.
+ */
+function findOfferingRows(rows, slot) {
+    const sameDay = rows.filter(row => row.day === slot.day);
+    const sameStart = sameDay.filter(row => row.startTime === slot.startTime);
+    return sameStart.length > 0
+        ? sameStart
+        : sameDay.filter(row => row.startTime <= slot.startTime && slot.startTime < row.endTime);
+}
+
+/**
+ * Encontra a primeira linha da tabela de horários que corresponde a um horário
+ * da grade (ver findOfferingRows).
+ * @param {Array<Object>} rows - As linhas lidas da tabela .horarios.
+ * @param {{day: string, startTime: string}} slot - O horário da grade.
+ * @returns {Object|null} A linha correspondente ou null.
+ */
+function findOfferingRow(rows, slot) {
+    return findOfferingRows(rows, slot)[0] || null;
+}
+
+/**
+ * Partículas que ficam em minúsculas nos nomes (ex: "Maria da Silva").
+ * @type {Array<string>}
+ */
+const NAME_PARTICLES = ['da', 'das', 'de', 'do', 'dos', 'e', 'di', 'du'];
+
+/**
+ * Limpa o texto da coluna de professor: separa vários nomes numa mesma célula,
+ * tira títulos ("Prof.", "Dra.") e anotações entre parênteses, e passa nomes
+ * escritos todos em maiúsculas para a forma usual.
+ * @param {string} text - O texto da célula.
+ * @returns {Array<string>} Os nomes, na ordem em que aparecem.
+ */
+function cleanProfessorNames(text) {
+    return (text || "")
+        .split(/\n|;|\s\/\s/)
+        .map(name => name
+            .replace(/\s+/g, ' ')
+            .replace(/\s*\([^)]*\)\s*$/, '')
+            .replace(/^((prof(\(a\)|a|essora?)?|dra?|doutora?)\.?\s+)+/i, '')
+            .trim())
+        .filter(name => name && name !== PROFESSOR_PLACEHOLDER)
+        .map(name => (name === name.toUpperCase()
+            ? name.toLowerCase().split(' ').map((word, index) =>
+                index > 0 && NAME_PARTICLES.includes(word) ? word : word.charAt(0).toUpperCase() + word.slice(1)
+            ).join(' ')
+            : name));
+}
+
+/**
+ * Junta os professores de várias linhas da tabela de horários, sem repetir nomes
+ * (ignorando maiúsculas e acentos).
+ * @param {Array<Object>} rows - As linhas.
+ * @returns {Array<string>} Os nomes, na ordem em que aparecem.
+ */
+function collectProfessorNames(rows) {
+    const names = new Map();
+    rows.flatMap(row => cleanProfessorNames(row.professor)).forEach(name => {
+        const id = name.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+        if (!names.has(id)) names.set(id, name);
+    });
+    return [...names.values()];
+}
+
+/**
+ * Datas "dd/mm/aaaa" numa linha da tabela de horários, que marcam o período
+ * daquele horário quando ele não vale para a turma toda.
+ * @type {RegExp}
+ */
+const rowDatePattern = /\b\d{2}\/\d{2}\/\d{4}\b/g;
+
+/**
+ * Une horários consecutivos de uma mesma disciplina (mesmo dia, professor, local e
+ * período) num único evento, com o início do primeiro e o fim do último.
+ * Os horários "HH:MM" são comparados como texto, o que preserva a ordem cronológica.
+ * @param {Array<Object>} events - Os eventos gerados a partir das linhas da grade.
+ * @returns {Array<Object>} Os eventos normalizados.
+ */
+function mergeConsecutiveSlots(events) {
+    const dayOrder = Object.values(dayMap);
+    const codeOrder = [...new Set(events.map(event => event.code))];
+    const sorted = [...events].sort((a, b) =>
+        codeOrder.indexOf(a.code) - codeOrder.indexOf(b.code) ||
+        dayOrder.indexOf(a.day) - dayOrder.indexOf(b.day) ||
+        (a.startDate || '').localeCompare(b.startDate || '') ||
+        a.startTime.localeCompare(b.startTime)
+    );
+
+    const merged = [];
+    for (const event of sorted) {
+        const previous = merged[merged.length - 1];
+        const isContinuation = previous &&
+            previous.code === event.code &&
+            previous.day === event.day &&
+            previous.professors === event.professors &&
+            previous.location === event.location &&
+            previous.startDate === event.startDate &&
+            previous.endDate === event.endDate &&
+            previous.endTime === event.startTime;
+
+        if (isContinuation) {
+            previous.endTime = event.endTime;
+        } else {
+            merged.push({ ...event });
+        }
+    }
+    return merged;
+}
+
+/**
+ * Seletores tentados, em ordem, para cada parte da grade. O primeiro de cada lista
+ * é o da página atual do Júpiter; os seguintes cobrem mudanças prováveis na
+ * marcação do jqGrid (outro id, outra classe nas linhas do cabeçalho).
+ * @type {Object<string, Array<string>>}
+ */
+const GRID_SELECTORS = {
+    table: ['table#tableGradeHoraria', 'table[id*="gradehoraria" i]', '.ui-jqgrid-bdiv table.ui-jqgrid-btable'],
+    header: ['.ui-jqgrid-hdiv .jqg-third-row-header', '.ui-jqgrid-hdiv tr.ui-jqgrid-labels', '.ui-jqgrid-htable thead tr'],
+    rows: ['.ui-jqgrid-bdiv tbody tr.jqgrow', 'tbody tr.jqgrow', 'tbody tr[role="row"]'],
+    discipline: ['span[data-disciplina]', '[data-disciplina]']
+};
+
+/**
+ * Código de disciplina da USP (ex: MAC0110, ou só com números, como 4302111),
+ * usado quando a célula da grade não traz o atributo data-disciplina.
+ * @type {RegExp}
+ */
+const DISCIPLINE_CODE_PATTERN = /^[A-Z0-9]{3}\d{4}$/;
+
+/**
+ * Procura o primeiro elemento aceito, tentando os seletores em ordem.
+ * @param {ParentNode} root - Onde procurar.
+ * @param {Array<string>} selectors - Os seletores.
+ * @param {function(Element): boolean} [accept] - Filtro dos candidatos.
+ * @returns {{element: Element, selector: string}|null} O elemento e o seletor que o achou.
+ */
+function findWithFallbacks(root, selectors, accept = () => true) {
+    for (const selector of selectors) {
+        const element = Array.from(root.querySelectorAll(selector)).find(accept);
+        if (element) return { element, selector };
+    }
+    return null;
+}
+
+/**
+ * Monta o erro de uma etapa da leitura da grade, com o que foi encontrado na
+ * página para o relatório de diagnóstico.
+ * @param {string} stage - A etapa: 'table', 'header', 'rows' ou 'disciplines'.
+ * @param {string} message - A mensagem para o usuário.
+ * @param {Object} found - O que a etapa encontrou.
+ * @returns {{error: {stage: string, message: string, found: Object}}} O resultado com erro.
+ */
+function gridStageError(stage, message, found) {
+    console.error(`CalendarUSP: ${message}`, found);
+    return { error: { stage, message, found } };
+}
+
+/**
+ * Lê os nomes dos dias numa linha de cabeçalho da grade (as duas primeiras
+ * colunas são entrada e saída).
+ * @param {Element} headerRow - A linha do cabeçalho.
+ * @returns {Array<string>} Os dias, na ordem das colunas.
+ */
+function readHeaderDays(headerRow) {
+    return Array.from(headerRow.querySelectorAll('th'))
+        .slice(2)
+        .map(th => {
+            const dayAbbreviation = getElementText(th.querySelector('div') || th).trim();
+            return dayMap[dayAbbreviation] || normalizeDayName(dayAbbreviation);
+        });
+}
+
+/**
+ * Encontra a disciplina numa célula da grade: pelo atributo data-disciplina ou,
+ * na falta dele, por um elemento cujo texto é um código de disciplina.
+ * @param {Element} cell - A célula.
+ * @returns {{code: string, span: Element}|null} O código e o elemento clicável.
+ */
+function findDisciplineInCell(cell) {
+    const byAttribute = findWithFallbacks(cell, GRID_SELECTORS.discipline);
+    if (byAttribute) return { code: byAttribute.element.getAttribute('data-disciplina'), span: byAttribute.element };
+
+    const byText = [...cell.querySelectorAll('*'), cell]
+        .find(element => DISCIPLINE_CODE_PATTERN.test(getElementText(element).trim()));
+    return byText ? { code: getElementText(byText).trim(), span: byText } : null;
+}
+
+/**
+ * Lê a grade horária (tabela jqGrid #tableGradeHoraria): os horários de cada
+ * disciplina e o span em que ela aparece, usado para abrir os detalhes.
+ * @param {ParentNode} root - O documento da página.
+ * @returns {{disciplineSlots: Object<string, Array<Object>>, disciplineSpans: Object<string, Element>, selectors: Object<string, string>}|{error: Object}}
+ * Os horários e spans por código (e os seletores que funcionaram), ou o erro da
+ * etapa que falhou (ver gridStageError).
+ */
+function readScheduleGrid(root) {
+    const table = findWithFallbacks(root, GRID_SELECTORS.table);
+    if (!table) {
+        return gridStageError('table', 'A tabela da grade horária não foi encontrada na página.', {
+            tried: GRID_SELECTORS.table,
+            tables: root.querySelectorAll('table').length,
+            tableIds: Array.from(root.querySelectorAll('table[id]')).map(element => sanitizeMarkupToken(element.id)).slice(0, 10),
+            jqGrids: root.querySelectorAll('.ui-jqgrid').length
+        });
+    }
+
+    // O cabeçalho é procurado só no jqGrid da própria tabela: a página pode ter outras grades
+    const gridRoot = table.element.closest('.ui-jqgrid') || root;
+    const knownDays = Object.values(dayMap);
+    const header = findWithFallbacks(gridRoot, GRID_SELECTORS.header, row =>
+        readHeaderDays(row).some(day => knownDays.includes(day))
+    );
+    if (!header) {
+        return gridStageError('header', 'O cabeçalho da grade (dias da semana) não foi encontrado.', {
+            tried: GRID_SELECTORS.header,
+            table: table.selector,
+            headerRows: gridRoot.querySelectorAll('.ui-jqgrid-hdiv tr, thead tr').length
+        });
+    }
+    const daysOfWeek = readHeaderDays(header.element);
+
+    let rows = null;
+    for (const selector of GRID_SELECTORS.rows) {
+        const candidates = Array.from(table.element.querySelectorAll(selector));
+        if (candidates.length > 0) {
+            rows = { elements: candidates, selector };
+            break;
+        }
+    }
+    if (!rows) {
+        return gridStageError('rows', 'A tabela da grade foi encontrada, mas sem linhas de horário.', {
+            tried: GRID_SELECTORS.rows,
+            table: table.selector,
+            header: header.selector,
+            days: daysOfWeek,
+            tableRows: table.element.querySelectorAll('tr').length
+        });
+    }
+
+    const disciplineSlots = {};
+    const disciplineSpans = {};
+
+    for (const row of rows.elements) {
+        const cells = row.querySelectorAll('td');
+        if (cells.length < 2) continue;
+
+        const startTime = getElementText(cells[0]).trim();
+        const endTime = getElementText(cells[1]).trim();
+
+        for (let i = 2; i < cells.length; i++) {
+            const discipline = findDisciplineInCell(cells[i]);
+
+            if (discipline) {
+                const disciplineCode = discipline.code;
+                if (!disciplineSlots[disciplineCode]) {
+                    disciplineSlots[disciplineCode] = [];
+                    disciplineSpans[disciplineCode] = discipline.span;
+                }
+                disciplineSlots[disciplineCode].push({
+                    day: daysOfWeek[i - 2],
+                    startTime: startTime,
+                    endTime: endTime
+                });
+            }
+        }
+    }
+
+    if (Object.keys(disciplineSlots).length === 0) {
+        return gridStageError('disciplines', 'A grade foi lida, mas nenhuma disciplina foi reconhecida nas células.', {
+            tried: [...GRID_SELECTORS.discipline, 'texto no formato AAA0000 ou 0000000'],
+            table: table.selector,
+            header: header.selector,
+            rows: rows.selector,
+            rowCount: rows.elements.length,
+            days: daysOfWeek
+        });
+    }
+
+    return {
+        disciplineSlots,
+        disciplineSpans,
+        selectors: { table: table.selector, header: header.selector, rows: rows.selector }
+    };
+}
+
+/**
+ * Tags deixadas de fora do esboço da página.
+ * @type {Array<string>}
+ */
+const OUTLINE_SKIPPED_TAGS = ['script', 'style', 'noscript', 'svg', 'link', 'meta'];
+
+/**
+ * Número máximo de linhas do esboço da página.
+ * @type {number}
+ */
+const OUTLINE_MAX_LINES = 400;
+
+/**
+ * Troca sequências longas de dígitos (que podem ser um número USP) por "#" num id
+ * ou classe que vai para o relatório de diagnóstico.
+ * @param {string} token - O id ou a classe.
+ * @returns {string} O valor sem os números.
+ */
+function sanitizeMarkupToken(token) {
+    return token.replace(/\d{4,}/g, '#');
+}
+
+/**
+ * Descreve um elemento pela tag, id, classes e nomes dos atributos data-*, sem
+ * textos nem valores.
+ * @param {Element} element - O elemento.
+ * @returns {string} A descrição (ex: "table#tableGradeHoraria.ui-jqgrid-btable").
+ */
+function describeOutlineElement(element) {
+    const id = element.id ? `#${sanitizeMarkupToken(element.id)}` : '';
+    const classes = Array.from(element.classList).slice(0, 4).map(name => `.${sanitizeMarkupToken(name)}`).join('');
+    const data = Array.from(element.attributes)
+        .filter(attribute => attribute.name.startsWith('data-'))
+        .map(attribute => `[${attribute.name}]`)
+        .join('');
+    return `${element.tagName.toLowerCase()}${id}${classes}${data}`;
+}
+
+/**
+ * Gera um esboço da estrutura da página (só a marcação, sem nenhum texto), para
+ * anexar a relatórios de erro sem expor dados do aluno.
+ * @param {Document} doc - O documento.
+ * @param {Object} [options] - Limites do esboço.
+ * @param {number} [options.maxDepth] - Profundidade máxima.
+ * @param {number} [options.maxChildren] - Filhos listados por elemento.
+ * @returns {string} O esboço, um elemento por linha, indentado pela profundidade.
+ */
+function buildPageOutline(doc, { maxDepth = 12, maxChildren = 8 } = {}) {
+    const lines = [];
+    const visit = (element, depth) => {
+        if (lines.length >= OUTLINE_MAX_LINES) return;
+        const children = Array.from(element.children)
+            .filter(child => !OUTLINE_SKIPPED_TAGS.includes(child.tagName.toLowerCase()));
+        const indent = '  '.repeat(depth);
+        lines.push(`${indent}${describeOutlineElement(element)}${children.length > 0 ? ` (${children.length})` : ''}`);
+        if (depth >= maxDepth) return;
+
+        children.slice(0, maxChildren).forEach(child => visit(child, depth + 1));
+        if (children.length > maxChildren) lines.push(`${indent}  … mais ${children.length - maxChildren}`);
+    };
+    visit(doc.body || doc.documentElement, 0);
+    if (lines.length >= OUTLINE_MAX_LINES) lines.push('… (esboço cortado)');
+    return lines.join('\n');
+}
+
+/**
+ * Lê os detalhes de uma disciplina: nome, período, turma, local, observações e a
+ * tabela de horários do oferecimento. Funciona tanto no painel #tab_detalhes da
+ * página quanto num documento montado a partir da resposta do servidor.
+ * @param {ParentNode} root - O painel de detalhes ou o documento.
+ * @param {string} disciplineCode - O código, usado quando o nome não aparece.
+ * @returns {Object} Os detalhes da disciplina.
+ */
+function readDisciplineDetails(root, disciplineCode) {
+    const details = {
+        title: disciplineCode,
+        startDate: null,
+        endDate: null,
+        turma: "",
+        location: "",
+        notes: [],
+        offeringRows: []
+    };
+
+    const nameElement = root.querySelector('.nomdis');
+    if (nameElement && getElementText(nameElement).trim()) details.title = getElementText(nameElement).trim();
+
+    const divOferecimento = root.querySelector('#div_oferecimento');
+    if (!divOferecimento) return details;
+
+    // Usa a função auxiliar para ignorar o template vazio
+    details.startDate = parsePtDate(getTextFromSelectors(divOferecimento, '.dtainitur'));
+    details.endDate = parsePtDate(getTextFromSelectors(divOferecimento, '.dtafimtur'));
+    details.turma = getTextFromSelectors(divOferecimento, '.codtur');
+    details.location = extractOfferingLocation(divOferecimento);
+    details.notes = extractOfferingNotes(divOferecimento);
+
+    // Mapeamento de professores (e do local, quando a tabela traz essa coluna).
+    // Linhas sem dia e horário são professores adicionais do horário de cima.
+    const horariosTable = divOferecimento.querySelector('.horarios');
+    const locationColumn = horariosTable ? findLocationColumn(horariosTable) : -1;
+    let previousRow = null;
+    divOferecimento.querySelectorAll('.horarios tbody tr').forEach(row => {
+        const cols = row.querySelectorAll('td');
+        const texts = Array.from(cols).map(col => getElementText(col).trim());
+        const rowDates = texts.join(' ').match(rowDatePattern) || [];
+        const ownDates = rowDates.length > 0
+            ? { startDate: parsePtDate(rowDates[0]), endDate: parsePtDate(rowDates[1] || rowDates[0]) }
+            : {};
+
+        if (cols.length >= 4 && (texts[0] || texts[1])) {
+            previousRow = {
+                day: normalizeDayName(texts[0]),
+                startTime: texts[1],
+                endTime: texts[2],
+                professor: texts[3],
+                location: locationColumn !== -1 && cols[locationColumn] ? texts[locationColumn] : "",
+                startDate: null,
+                endDate: null,
+                ...ownDates
+            };
+            details.offeringRows.push(previousRow);
+        } else if (previousRow && texts.some(Boolean)) {
+            const professor = cols.length >= 4 ? texts[3] : texts[texts.length - 1];
+            if (professor && !/\d/.test(professor)) {
+                details.offeringRows.push({ ...previousRow, professor, ...ownDates });
+            }
+        }
+    });
+    return details;
+}
+
+/**
+ * Agrupa as linhas da tabela de horários que valem para um horário da grade por
+ * período. Linhas sem datas próprias usam o período da turma.
+ * @param {Array<Object>} rows - As linhas do horário (ver findOfferingRows).
+ * @param {Object} details - Os detalhes da disciplina.
+ * @returns {Array<{startDate: ?Date, endDate: ?Date, rows: Array<Object>}>} Os
+ * períodos, na ordem em que aparecem; um só, sem linhas, se nenhuma linha valer.
+ */
+function groupRowsByPeriod(rows, details) {
+    const periods = new Map();
+    rows.forEach(row => {
+        const startDate = row.startDate || details.startDate;
+        const endDate = row.endDate || details.endDate;
+        const id = `${startDate ? startDate.getTime() : ''}|${endDate ? endDate.getTime() : ''}`;
+        if (!periods.has(id)) periods.set(id, { startDate, endDate, rows: [] });
+        periods.get(id).rows.push(row);
+    });
+    return periods.size > 0
+        ? [...periods.values()]
+        : [{ startDate: details.startDate, endDate: details.endDate, rows: [] }];
+}
+
+/**
+ * Monta as aulas a partir dos horários da grade e dos detalhes de cada disciplina.
+ * Cada horário vira uma aula por período: quando a tabela do oferecimento lista o
+ * mesmo horário com datas diferentes, cada período sai como uma aula própria, com
+ * o campo "period" (o primeiro dia, AAAA-MM-DD) para que os UIDs não se repitam.
+ * @param {Object<string, Array<Object>>} disciplineSlots - Os horários de cada disciplina na grade.
+ * @param {Object<string, Object>} detailsByCode - Os detalhes (ver readDisciplineDetails).
+ * @returns {Array<Object>} As aulas, com horários consecutivos unidos.
+ */
+function buildScheduleEvents(disciplineSlots, detailsByCode) {
+    const finalEvents = [];
+
+    for (const disciplineCode in disciplineSlots) {
+        const details = detailsByCode[disciplineCode];
+        const slots = disciplineSlots[disciplineCode];
+
+        slots.forEach(slot => {
+            const periods = groupRowsByPeriod(findOfferingRows(details.offeringRows, slot), details);
+
+            periods.forEach(period => {
+                const offeringRow = period.rows[0];
+                const specificProf = joinProfessorNames(collectProfessorNames(period.rows));
+                const slotLocation = (offeringRow && offeringRow.location) || details.location;
+
+                const event = {
+                    title: details.title,
+                    code: disciplineCode,
+                    turma: details.turma,
+                    day: slot.day,
+                    startTime: slot.startTime,
+                    endTime: slot.endTime,
+                    location: slotLocation,
+                    startDate: period.startDate ? period.startDate.toISOString() : null,
+                    endDate: period.endDate ? period.endDate.toISOString() : null,
+                    professors: specificProf,
+                    notes: details.notes.join('\n'),
+                    description: `Disciplina: ${disciplineCode}\nProfessor(a): ${specificProf}` +
+                        (details.notes.length > 0 ? `\nObservações: ${details.notes.join(' / ')}` : "")
+                };
+                if (periods.length > 1 && period.startDate) event.period = toPeriodId(period.startDate);
+                finalEvents.push(event);
+            });
+        });
+    }
+
+    return mergeConsecutiveSlots(finalEvents);
+}
+
+/**
+ * Formata o primeiro dia de um período como AAAA-MM-DD (no fuso local).
+ * @param {Date} date - O primeiro dia.
+ * @returns {string} O identificador do período.
+ */
+function toPeriodId(date) {
+    return [
+        date.getFullYear(),
+        String(date.getMonth() + 1).padStart(2, '0'),
+        String(date.getDate()).padStart(2, '0')
+    ].join('-');
+}
+
+/**
+ * Extrai a grade de uma página do Júpiter salva ("Salvar página como"), sem
+ * navegador. Uma página salva só traz os detalhes da disciplina que estava aberta
+ * em #tab_detalhes; as demais saem com o código como nome e sem datas da turma,
+ * e são listadas em missingDetails.
+ * @param {Document} doc - O documento da página salva.
+ * @returns {{success: boolean, data: Array<Object>, missingDetails?: Array<string>, error?: Object}}
+ * O status, as aulas, os códigos das disciplinas sem detalhes na página e, se a
+ * grade não foi lida, o erro da etapa que falhou.
+ */
+function parseSavedSchedulePage(doc) {
+    const grid = readScheduleGrid(doc);
+    if (grid.error) return { success: false, data: [], error: grid.error };
+
+    const panel = doc.querySelector('#tab_detalhes');
+    const panelText = panel ? getElementText(panel) : "";
+    const detailsByCode = {};
+    const missingDetails = [];
+    Object.keys(grid.disciplineSlots).forEach(code => {
+        if (!panelText.includes(code)) missingDetails.push(code);
+        detailsByCode[code] = readDisciplineDetails(
+            panelText.includes(code) ? panel : doc.createElement('div'),
+            code
+        );
+    });
+    return { success: true, data: buildScheduleEvents(grid.disciplineSlots, detailsByCode), missingDetails };
+}
@@ -0,0 +1,134 @@
+/**
+ * @file schedule-store.js
+ * @description Guarda no armazenamento da extensão a última grade extraída,
+ * junto com as edições e preferências do usuário, para que ela sobreviva ao
+ * fechamento do popup.
+ */
+
+/**
+ * Chave usada em browser.storage.local para a última grade extraída.
+ * @type {string}
+ */
+const LAST_SCHEDULE_KEY = 'lastSchedule';
+
+/**
+ * Salva o estado atual da grade.
+ * @param {Object} state - O estado a guardar.
+ * @param {Array<Object>} state.events - As aulas como foram extraídas.
+ * @param {string} state.extractedAt - Quando a extração foi feita (ISO 8601).
+ * @param {Object} state.edits - As correções do usuário por aula.
+ * @param {Array<string>} state.excludedKeys - As aulas desmarcadas.
+ * @param {Object<string, string>} state.conflictResolutions - A escolha feita em cada conflito.
+ * @param {Object} state.reminders - As configurações de lembrete.
+ * @param {string} state.campus - O campus escolhido para os feriados.
+ * @param {boolean} state.includeHolidays - Se os feriados entram no .ics.
+ * @returns {Promise<void>}
+ */
+async function saveLastSchedule(state) {
+    await browser.storage.local.set({ [LAST_SCHEDULE_KEY]: state });
+}
+
+/**
+ * Lê a última grade salva.
+ * @returns {Promise<Object|null>} O estado salvo ou null se não houver.
+ */
+async function loadLastSchedule() {
+    const stored = await browser.storage.local.get(LAST_SCHEDULE_KEY);
+    const state = stored[LAST_SCHEDULE_KEY];
+    return state && Array.isArray(state.events) && state.events.length > 0 ? state : null;
+}
+
+/**
+ * Chave usada em browser.storage.local para as fotos nomeadas da grade.
+ * @type {string}
+ */
+const SNAPSHOTS_KEY = 'scheduleSnapshots';
+
+/**
+ * Lista as fotos salvas, da mais recente para a mais antiga.
+ * @returns {Promise<Array<{id: string, name: string, createdAt: string, events: Array<Object>}>>}
+ */
+async function listSnapshots() {
+    const stored = await browser.storage.local.get(SNAPSHOTS_KEY);
+    return (stored[SNAPSHOTS_KEY] || [])
+        .slice()
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Salva uma foto nomeada da grade, como ela foi importada no calendário.
+ * @param {string} name - O nome da foto (ex: "Matrícula 2026-2").
+ * @param {Array<Object>} events - As aulas exportadas nessa versão.
+ * @returns {Promise<Object>} A foto criada.
+ */
+async function saveSnapshot(name, events) {
+    const createdAt = new Date().toISOString();
+    const snapshot = { id: createdAt, name, createdAt, events };
+    const stored = await browser.storage.local.get(SNAPSHOTS_KEY);
+    const snapshots = stored[SNAPSHOTS_KEY] || [];
+    snapshots.push(snapshot);
+    await browser.storage.local.set({ [SNAPSHOTS_KEY]: snapshots });
+    return snapshot;
+}
+
+/**
+ * Apaga uma foto salva.
+ * @param {string} id - O identificador da foto.
+ * @returns {Promise<void>}
+ */
+async function deleteSnapshot(id) {
+    const stored = await browser.storage.local.get(SNAPSHOTS_KEY);
+    const snapshots = (stored[SNAPSHOTS_KEY] || []).filter(snapshot => snapshot.id !== id);
+    await browser.storage.local.set({ [SNAPSHOTS_KEY]: snapshots });
+}
+
+/**
+ * Chave usada em browser.storage.local para a coleção CalDAV do usuário. A senha
+ * não é guardada: ela é pedida a cada sincronização.
+ * @type {string}
+ */
+const CALDAV_SETTINGS_KEY = 'caldavSettings';
+
+/**
+ * Salva o endereço da coleção CalDAV e o usuário.
+ * @param {{collectionUrl: string, username: string}} settings - As configurações.
+ * @returns {Promise<void>}
+ */
+async function saveCalDavSettings(settings) {
+    await browser.storage.local.set({ [CALDAV_SETTINGS_KEY]: settings });
+}
+
+/**
+ * Lê as configurações CalDAV salvas.
+ * @returns {Promise<{collectionUrl: string, username: string}>} As configurações
+ * (vazias se nunca foram salvas).
+ */
+async function loadCalDavSettings() {
+    const stored = await browser.storage.local.get(CALDAV_SETTINGS_KEY);
+    return { collectionUrl: '', username: '', ...stored[CALDAV_SETTINGS_KEY] };
+}
+
+/**
+ * Chave usada em browser.storage.local para as aulas enviadas à página de
+ * impressão (print.html), que abre numa aba própria.
+ * @type {string}
+ */
+const PRINT_TIMETABLE_KEY = 'printTimetable';
+
+/**
+ * Guarda as aulas que a página de impressão deve mostrar.
+ * @param {Array<Object>} events - As aulas selecionadas, com edições.
+ * @returns {Promise<void>}
+ */
+async function savePrintTimetable(events) {
+    await browser.storage.local.set({ [PRINT_TIMETABLE_KEY]: events });
+}
+
+/**
+ * Lê as aulas enviadas à página de impressão.
+ * @returns {Promise<Array<Object>>} As aulas (vazio se não houver).
+ */
+async function loadPrintTimetable() {
+    const stored = await browser.storage.local.get(PRINT_TIMETABLE_KEY);
+    return stored[PRINT_TIMETABLE_KEY] || [];
+}
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createScriptContext, readRepoFile, toPlain } = require('./helpers');
+
+const context = createScriptContext(['academic-calendar.js', 'professors.js', 'ics.js']);
+const CALENDAR = JSON.parse(readRepoFile('data/calendario-academico.json'));
+
+test('o calendário empacotado só tem datas válidas dentro de cada semestre', () => {
+    const isoDate = /^\d{4}-\d{2}-\d{2}$/;
+    CALENDAR.semesters.forEach(semester => {
+        const variations = Object.entries(semester.campusVariations || {});
+        variations.forEach(([campus]) => assert.ok(CALENDAR.campuses.includes(campus), campus));
+
+        const entries = [semester, ...variations.map(([, variation]) => variation)];
+        entries.flatMap(entry => entry.holidays || []).forEach(holiday => {
+            assert.match(holiday.date, isoDate);
+            assert.ok(holiday.date >= semester.start && holiday.date <= semester.end, `${holiday.date} fora de ${semester.id}`);
+            assert.ok(holiday.name);
+        });
+        entries.flatMap(entry => [...(entry.recess || []), ...(entry.examWeeks || [])]).forEach(period => {
+            assert.match(period.start, isoDate);
+            assert.match(period.end, isoDate);
+            assert.ok(period.start <= period.end && period.start >= semester.start && period.end <= semester.end, `${period.name} fora de ${semester.id}`);
+            assert.ok(period.name);
+        });
+    });
+});
+
+test('getNonTeachingDays junta feriados, recessos e semanas de provas, sem repetir datas', () => {
+    const calendar = {
+        semesters: [{
+            holidays: [{ date: '2026-09-07', name: 'Independência do Brasil' }],
+            recess: [{ start: '2026-09-05', end: '2026-09-08', name: 'Semana da Pátria' }],
+            examWeeks: [{ start: '2026-10-19', end: '2026-10-20', name: 'Semana de provas' }],
+            campusVariations: {
+                'São Carlos': {
+                    holidays: [{ date: '2026-11-04', name: 'Aniversário de São Carlos' }],
+                    examWeeks: [{ start: '2026-12-07', end: '2026-12-07', name: 'Provas finais' }]
+                }
+            }
+        }]
+    };
+
+    assert.deepStrictEqual(toPlain(context.getNonTeachingDays(calendar, 'São Carlos')), [
+        { date: '2026-09-05', name: 'Semana da Pátria' },
+        { date: '2026-09-06', name: 'Semana da Pátria' },
+        { date: '2026-09-07', name: 'Independência do Brasil' },
+        { date: '2026-09-08', name: 'Semana da Pátria' },
+        { date: '2026-10-19', name: 'Semana de provas' },
+        { date: '2026-10-20', name: 'Semana de provas' },
+        { date: '2026-11-04', name: 'Aniversário de São Carlos' },
+        { date: '2026-12-07', name: 'Provas finais' }
+    ]);
+    assert.strictEqual(context.getNonTeachingDays(calendar, '').length, 6);
+    assert.deepStrictEqual(toPlain(context.getNonTeachingDays(null, 'São Carlos')), []);
+});
+
+test('getSkippedDates lista só as aulas que caem em dias sem aula', () => {
+    const event = {
+        day: 'Segunda-feira',
+        startDate: new Date('2026-08-03T00:00:00').toISOString(),
+        endDate: new Date('2026-12-05T00:00:00').toISOString()
+    };
+    const skipped = toPlain(context.getSkippedDates(event, context.getNonTeachingDays(CALENDAR, 'São Paulo')));
+    assert.deepStrictEqual(skipped.map(day => day.date), ['2026-09-07', '2026-10-12', '2026-11-02']);
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createScriptContext, toPlain } = require('./helpers');
+
+const context = createScriptContext(['academic-calendar.js', 'assessments.js']);
+
+/**
+ * Cria uma turma do segundo semestre de 2026 com as observações dadas.
+ * @param {string} notes - As observações do oferecimento.
+ * @param {Object} [overrides] - Campos a trocar.
+ * @returns {Object} A aula.
+ */
+function makeEvent(notes, overrides = {}) {
+    return {
+        title: 'Introdução à Computação',
+        code: 'MAC0110',
+        day: 'Segunda-feira',
+        startTime: '08:00',
+        endTime: '09:40',
+        startDate: new Date('2026-08-03T00:00:00').toISOString(),
+        endDate: new Date('2026-12-05T00:00:00').toISOString(),
+        notes,
+        ...overrides
+    };
+}
+
+/**
+ * Resume as avaliações encontradas em data, horário e rótulo.
+ * @param {Array<Object>} assessments - As avaliações.
+ * @returns {Array<Array<?string>>} As avaliações resumidas.
+ */
+function summarize(assessments) {
+    return toPlain(assessments).map(({ date, time, label }) => [date, time, label]);
+}
+
+test('findAssessmentDates lê "P1 em 10/09" sem horário e "P2 em 22/10 às 10h" com horário', () => {
+    const found = context.findAssessmentDates(makeEvent('P1 em 10/09\nP2 em 22/10 às 10h'));
+
+    assert.deepStrictEqual(summarize(found), [
+        ['2026-09-10', null, 'P1'],
+        ['2026-10-22', '10:00', 'P2']
+    ]);
+    assert.strictEqual(found[0].code, 'MAC0110');
+    assert.strictEqual(found[1].source, 'P2 em 22/10 às 10h');
+});
+
+test('findAssessmentDates separa várias datas na mesma linha e lê os formatos de horário', () => {
+    const found = context.findAssessmentDates(
+        makeEvent('P1: 10/09, P2: 22/10/2026 14:00; Projeto até 30/11 às 23h59; Sub 03/12 (40h de estudo)')
+    );
+
+    assert.deepStrictEqual(summarize(found), [
+        ['2026-09-10', null, 'P1'],
+        ['2026-10-22', '14:00', 'P2'],
+        ['2026-11-30', '23:59', 'Projeto'],
+        ['2026-12-03', null, 'Sub']
+    ]);
+});
+
+test('findAssessmentDates completa o ano pelo início da turma e passa para o ano seguinte na virada', () => {
+    const found = context.findAssessmentDates(
+        makeEvent('Rec em 15/02\nP1 em 10/09/26\nExame em 15/02/2026')
+    );
+
+    assert.deepStrictEqual(toPlain(found).map(assessment => assessment.date), ['2027-02-15', '2026-09-10', '2026-02-15']);
+});
+
+test('findAssessmentDates mantém datas fora do período da turma e ignora datas inválidas', () => {
+    const found = context.findAssessmentDates(
+        makeEvent('Nivelamento em 20/07\nP3 em 15/12\nEntrega em 31/02')
+    );
+
+    // 20/07 fica em 2026 por estar a menos de um mês do início; 31/02 não existe
+    assert.deepStrictEqual(summarize(found), [
+        ['2026-07-20', null, 'Nivelamento'],
+        ['2026-12-15', null, 'P3']
+    ]);
+});
+
+test('findAssessmentDates usa a data de referência quando a turma não tem data de início', () => {
+    const found = context.findAssessmentDates(
+        makeEvent('P1 em 10/04', { startDate: null, endDate: null }),
+        new Date('2026-03-01T12:00:00')
+    );
+
+    assert.deepStrictEqual(summarize(found), [['2026-04-10', null, 'P1']]);
+});
+
+test('collectAssessments junta os horários da mesma disciplina e ordena por data e horário', () => {
+    const notes = 'P2 em 22/10 às 10h\nP1 em 10/09';
+    const assessments = context.collectAssessments([
+        makeEvent(notes),
+        makeEvent(notes, { day: 'Quarta-feira' }),
+        makeEvent('Prova em 22/10 às 08h', { code: 'MAT2453', title: 'Cálculo I' })
+    ]);
+
+    assert.deepStrictEqual(toPlain(assessments).map(({ code, date, time }) => [code, date, time]), [
+        ['MAC0110', '2026-09-10', null],
+        ['MAT2453', '2026-10-22', '08:00'],
+        ['MAC0110', '2026-10-22', '10:00']
+    ]);
+});
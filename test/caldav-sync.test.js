@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { JSDOM } = require('jsdom');
+const { createScriptContext, toPlain, listen, close } = require('./helpers');
+const { createFakeCalDavServer, USERNAME, PASSWORD, COLLECTION_PATH } = require('../tools/fake-caldav-server');
+
+const context = createScriptContext(['academic-calendar.js', 'professors.js', 'ics.js', 'caldav-sync.js'], {
+    fetch,
+    btoa,
+    DOMParser: new JSDOM().window.DOMParser
+});
+
+/**
+ * Cria uma aula do segundo semestre de 2026.
+ * @param {string} code - O código da disciplina.
+ * @param {string} day - O dia da semana.
+ * @param {Object} [overrides] - Campos a trocar.
+ * @returns {Object} A aula.
+ */
+function makeEvent(code, day, overrides = {}) {
+    return {
+        title: `${code} - Disciplina`,
+        code,
+        turma: '2026101',
+        day,
+        startTime: '08:00',
+        endTime: '09:40',
+        location: 'B-101',
+        startDate: new Date('2026-08-03T00:00:00').toISOString(),
+        endDate: new Date('2026-12-05T00:00:00').toISOString(),
+        professors: 'Docente A',
+        notes: '',
+        description: `Disciplina: ${code}`,
+        ...overrides
+    };
+}
+
+/**
+ * Sobe a coleção CalDAV falsa.
+ * @returns {Promise<{server: http.Server, collectionUrl: string}>} O servidor e a
+ * URL da coleção (sem a barra final, como um usuário poderia digitar).
+ */
+async function startCalDav() {
+    const server = createFakeCalDavServer();
+    const collectionUrl = `${await listen(server)}${COLLECTION_PATH}`.replace(/\/$/, '');
+    return { server, collectionUrl };
+}
+
+test('syncCalDavCollection cria, atualiza e remove um recurso por aula', async () => {
+    const { server, collectionUrl } = await startCalDav();
+    try {
+        const request = context.createCalDavClient({ username: USERNAME, password: PASSWORD });
+        const options = { request, collectionUrl, nonTeachingDays: [{ date: '2026-09-07', name: 'Independência do Brasil' }] };
+
+        // Um evento que outro cliente criou na mesma coleção
+        server.resources.set(`${COLLECTION_PATH}outro-evento.ics`, { etag: '"outro"', body: 'BEGIN:VCALENDAR\r\nUID:x\r\n' });
+
+        const events = [makeEvent('MAC0110', 'Segunda-feira'), makeEvent('MAT2453', 'Terça-feira')];
+        const first = toPlain(await context.syncCalDavCollection(events, options));
+        assert.deepStrictEqual(first, { created: 2, updated: 0, deleted: 0, conflicts: [] });
+
+        const monday = server.resources.get(`${COLLECTION_PATH}MAC0110-2026101-MO-0800%40calendarusp.ics`);
+        assert.match(monday.body, /\r\nUID:MAC0110-2026101-MO-0800@calendarusp\r\n/);
+        assert.match(monday.body, /\r\nEXDATE;TZID=America\/Sao_Paulo:20260907T080000\r\n/);
+
+        const second = toPlain(await context.syncCalDavCollection([{ ...events[0], location: 'C-201' }], options));
+        assert.deepStrictEqual(second, { created: 0, updated: 1, deleted: 1, conflicts: [] });
+        assert.deepStrictEqual([...server.resources.keys()].sort(), [
+            `${COLLECTION_PATH}MAC0110-2026101-MO-0800%40calendarusp.ics`,
+            `${COLLECTION_PATH}outro-evento.ics`
+        ]);
+        assert.match(server.resources.get(`${COLLECTION_PATH}MAC0110-2026101-MO-0800%40calendarusp.ics`).body, /LOCATION:C-201/);
+    } finally {
+        await close(server);
+    }
+});
+
+test('syncCalDavCollection mantém o evento alterado por outro cliente durante o envio', async () => {
+    const { server, collectionUrl } = await startCalDav();
+    try {
+        const request = context.createCalDavClient({ username: USERNAME, password: PASSWORD });
+        const event = makeEvent('MAC0110', 'Segunda-feira');
+        await context.syncCalDavCollection([event], { request, collectionUrl });
+
+        // Outro cliente grava o evento entre a listagem e o envio
+        const racing = context.createCalDavClient({
+            username: USERNAME,
+            password: PASSWORD,
+            fetchImpl: (url, init) => {
+                if (init.method === 'PUT') server.resources.forEach(resource => { resource.etag = '"editado"'; });
+                return fetch(url, init);
+            }
+        });
+        const result = toPlain(await context.syncCalDavCollection([{ ...event, title: 'Outro' }], { request: racing, collectionUrl }));
+
+        assert.deepStrictEqual(result, { created: 0, updated: 0, deleted: 0, conflicts: ['MAC0110-2026101-MO-0800@calendarusp.ics'] });
+        assert.doesNotMatch([...server.resources.values()][0].body, /SUMMARY:Outro/);
+    } finally {
+        await close(server);
+    }
+});
+
+test('syncCalDavCollection informa quando o servidor recusa a senha', async () => {
+    const { server, collectionUrl } = await startCalDav();
+    try {
+        const request = context.createCalDavClient({ username: USERNAME, password: 'errada' });
+        await assert.rejects(
+            context.syncCalDavCollection([makeEvent('MAC0110', 'Segunda-feira')], { request, collectionUrl }),
+            /respondeu 401 ao listar a coleção/
+        );
+    } finally {
+        await close(server);
+    }
+});
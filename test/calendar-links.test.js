@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createScriptContext } = require('./helpers');
+
+const context = createScriptContext(['academic-calendar.js', 'professors.js', 'ics.js', 'calendar-links.js']);
+
+const EVENT = {
+    title: 'Introdução à Computação',
+    code: 'MAC0110',
+    turma: '2026101',
+    day: 'Segunda-feira',
+    startTime: '08:00',
+    endTime: '09:40',
+    location: 'B-101',
+    startDate: new Date('2026-08-03T00:00:00').toISOString(),
+    endDate: new Date('2026-12-05T00:00:00').toISOString(),
+    professors: 'Docente A',
+    notes: '',
+    description: 'Disciplina: MAC0110\nProfessor(a): Docente A'
+};
+
+test('formatShortDate e toIsoDateString usam a data local', () => {
+    assert.strictEqual(context.formatShortDate('2026-09-07'), '07/09');
+    // A data de início da turma é meia-noite local (03:00 em UTC)
+    assert.strictEqual(context.toIsoDateString(new Date(EVENT.startDate)), '2026-08-03');
+});
+
+test('calculateFirstClassDate encontra o primeiro dia da semana da aula', () => {
+    const first = context.calculateFirstClassDate(EVENT.startDate, 'Quarta-feira');
+    assert.strictEqual(context.toIsoDateString(first), '2026-08-05');
+    assert.strictEqual(context.formatDateTimeForCalendar(first, '08:00'), '20260805T080000');
+
+    const sameDay = context.calculateFirstClassDate(EVENT.startDate, 'Segunda-feira');
+    assert.strictEqual(context.toIsoDateString(sameDay), '2026-08-03');
+});
+
+test('createGoogleCalendarLink leva a recorrência e os feriados pulados', () => {
+    const firstDate = context.calculateFirstClassDate(EVENT.startDate, EVENT.day);
+    const link = new URL(context.createGoogleCalendarLink(EVENT, firstDate, [{ date: '2026-09-07', name: 'Independência do Brasil' }]));
+
+    assert.strictEqual(link.searchParams.get('action'), 'TEMPLATE');
+    assert.strictEqual(link.searchParams.get('text'), 'Introdução à Computação');
+    assert.strictEqual(link.searchParams.get('dates'), '20260803T080000/20260803T094000');
+    assert.strictEqual(link.searchParams.get('location'), 'B-101');
+    assert.strictEqual(link.searchParams.get('ctz'), 'America/Sao_Paulo');
+    assert.strictEqual(link.searchParams.get('details'), EVENT.description);
+    assert.strictEqual(
+        link.searchParams.get('recur'),
+        'RRULE:FREQ=WEEKLY;BYDAY=MO;UNTIL=20261205T235959Z\nEXDATE;TZID=America/Sao_Paulo:20260907T080000'
+    );
+});
+
+test('createGoogleCalendarLink usa o número padrão de semanas sem data de fim', () => {
+    const event = { ...EVENT, startDate: null, endDate: null };
+    const link = new URL(context.createGoogleCalendarLink(event, new Date('2026-08-03T00:00:00')));
+    assert.strictEqual(link.searchParams.get('recur'), 'RRULE:FREQ=WEEKLY;BYDAY=MO;COUNT=18');
+});
+
+test('buildOutlookEventFile gera o .ics de uma aula só', () => {
+    const { content, filename } = context.buildOutlookEventFile(EVENT, {
+        now: new Date('2026-07-01T12:00:00Z'),
+        nonTeachingDays: [{ date: '2026-09-07', name: 'Independência do Brasil' }],
+        reminders: { defaultMinutes: 15, overrides: {} }
+    });
+
+    assert.strictEqual(filename, 'MAC0110_MO_0800.ics');
+    const lines = content.split('\r\n');
+    assert.strictEqual(lines.filter(line => line === 'BEGIN:VEVENT').length, 1);
+    assert.ok(lines.includes('UID:MAC0110-2026101-MO-0800@calendarusp'));
+    assert.ok(lines.includes('DTSTART;TZID=America/Sao_Paulo:20260803T080000'));
+    assert.ok(lines.includes('EXDATE;TZID=America/Sao_Paulo:20260907T080000'));
+    assert.ok(lines.includes('TRIGGER:-PT15M'));
+});
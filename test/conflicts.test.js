@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createScriptContext, toPlain } = require('./helpers');
+
+const context = createScriptContext(['conflicts.js']);
+
+/**
+ * Cria uma aula de segunda-feira com a chave usada pelo popup.
+ * @param {string} key - A chave da aula.
+ * @param {string} startTime - O horário de início.
+ * @param {string} endTime - O horário de fim.
+ * @param {Object} [overrides] - Campos a trocar.
+ * @returns {{key: string, event: Object}} A aula.
+ */
+function makeItem(key, startTime, endTime, overrides = {}) {
+    return {
+        key,
+        event: {
+            title: `Disciplina ${key}`,
+            code: key,
+            day: 'Segunda-feira',
+            startTime,
+            endTime,
+            startDate: new Date('2026-08-03T00:00:00').toISOString(),
+            endDate: new Date('2026-12-05T00:00:00').toISOString(),
+            description: `Disciplina: ${key}`,
+            ...overrides
+        }
+    };
+}
+
+test('findScheduleConflicts acha aulas que se cruzam no mesmo dia', () => {
+    const items = [
+        makeItem('MAC0110', '08:00', '09:40'),
+        makeItem('MAT2453', '09:00', '10:40'),
+        makeItem('FLC0112', '09:00', '10:40', { day: 'Terça-feira' })
+    ];
+    const conflicts = toPlain(context.findScheduleConflicts(items));
+
+    assert.deepStrictEqual(conflicts.map(conflict => conflict.id), ['MAC0110|MAT2453']);
+});
+
+test('findScheduleConflicts ignora aulas que só se encostam', () => {
+    const items = [makeItem('MAC0110', '08:00', '09:40'), makeItem('MAT2453', '09:40', '11:20')];
+    assert.strictEqual(context.findScheduleConflicts(items).length, 0);
+});
+
+test('findScheduleConflicts ignora o mesmo horário em períodos que não se cruzam', () => {
+    const items = [
+        makeItem('MAC0110', '08:00', '09:40', { endDate: new Date('2026-10-02T00:00:00').toISOString() }),
+        makeItem('MAT2453', '08:00', '09:40', { startDate: new Date('2026-10-05T00:00:00').toISOString() })
+    ];
+    assert.strictEqual(context.findScheduleConflicts(items).length, 0);
+
+    // Sem datas, não dá para descartar a sobreposição
+    const undated = makeItem('FLC0112', '08:00', '09:40', { startDate: null, endDate: null });
+    assert.strictEqual(context.findScheduleConflicts([items[0], undated]).length, 1);
+});
+
+test('resolveScheduleConflicts remove a aula preterida ou avisa nas duas', () => {
+    const items = [makeItem('MAC0110', '08:00', '09:40'), makeItem('MAT2453', '09:00', '10:40')];
+
+    const kept = toPlain(context.resolveScheduleConflicts(items, { 'MAC0110|MAT2453': 'MAT2453' }));
+    assert.deepStrictEqual(kept.map(item => item.key), ['MAT2453']);
+
+    const both = toPlain(context.resolveScheduleConflicts(items, {}));
+    assert.deepStrictEqual(both.map(item => item.event.description), [
+        'Disciplina: MAC0110\nCONFLITO: sobrepõe MAT2453 - Disciplina MAT2453 (Segunda-feira 09:00-10:40)',
+        'Disciplina: MAT2453\nCONFLITO: sobrepõe MAC0110 - Disciplina MAC0110 (Segunda-feira 08:00-09:40)'
+    ]);
+});
@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { JSDOM } = require('jsdom');
+const { readRepoFile, buildDetailsPanel, startFakeJupiter } = require('./helpers');
+
+/**
+ * Painéis de detalhes servidos pelo Júpiter simulado: o de MAC0110 é o da página
+ * de exemplo; os outros trazem os modelos ocultos do Júpiter.
+ * @type {Object<string, string>}
+ */
+const PANELS = {
+    MAC0110: new JSDOM(readRepoFile('tools/fixtures/grade-horaria.html')).window.document.querySelector('#tab_detalhes').innerHTML,
+    MAT2453: buildDetailsPanel({
+        code: 'MAT2453', title: 'Cálculo I', turma: '2026102', start: '03/08/2026', end: '05/12/2026',
+        rows: [['ter', '10:00', '11:40', 'Docente D'], ['qui', '10:00', '11:40', 'Docente D']]
+    }),
+    FLC0112: buildDetailsPanel({
+        code: 'FLC0112', title: 'Introdução aos Estudos Literários', turma: '2026103', start: '04/08/2026', end: '04/12/2026',
+        rows: [['sex', '14:00', '15:40', 'Docente E']]
+    })
+};
+
+/**
+ * Resume as aulas nos campos conferidos pelos testes.
+ * @param {Array<Object>} events - As aulas.
+ * @returns {Array<Array<string>>} Código, dia, horário, turma e professores.
+ */
+function summarize(events) {
+    return events.map(event => [event.code, event.day, event.startTime, event.endTime, event.turma, event.professors]);
+}
+
+const EXPECTED = [
+    ['MAC0110', 'Segunda-feira', '08:00', '09:40', '2026101', 'Docente A'],
+    ['MAC0110', 'Quarta-feira', '08:00', '09:40', '2026101', 'Docente B; Docente C'],
+    ['MAT2453', 'Terça-feira', '10:00', '11:40', '2026102', 'Docente D'],
+    ['MAT2453', 'Quinta-feira', '10:00', '11:40', '2026102', 'Docente D'],
+    ['FLC0112', 'Sexta-feira', '14:00', '15:40', '2026103', 'Docente E']
+];
+
+test('extractSchedule busca os detalhes das outras disciplinas pela requisição aprendida', async () => {
+    const page = await startFakeJupiter({ panels: PANELS });
+    try {
+        const { result, messages } = await page.extract();
+
+        assert.strictEqual(result.type, 'result');
+        assert.strictEqual(result.success, true);
+        assert.deepStrictEqual(summarize(result.data), EXPECTED);
+        assert.deepStrictEqual(result.data[4].startDate, new Date('2026-08-04T00:00:00').toISOString());
+
+        // A requisição de MAC0110 foi repetida para as outras, sem clicar nelas
+        assert.deepStrictEqual(
+            page.requests.map(url => `${url.searchParams.get('sgldis')}/${url.searchParams.get('codtur')}`).sort(),
+            ['FLC0112/2026103', 'MAC0110/2026101', 'MAT2453/2026102']
+        );
+        assert.match(page.window.document.querySelector('#tab_detalhes').textContent, /MAC0110/);
+        assert.deepStrictEqual(messages.filter(message => message.type === 'progress').map(message => message.current), [0, 1, 2, 3]);
+    } finally {
+        await page.close();
+    }
+});
+
+test('extractSchedule usa os cliques quando a página não tem a ponte', async () => {
+    const page = await startFakeJupiter({ panels: PANELS, bridge: false });
+    try {
+        const { result } = await page.extract();
+
+        assert.strictEqual(result.success, true);
+        assert.deepStrictEqual(summarize(result.data), EXPECTED);
+        assert.match(page.window.document.querySelector('#tab_detalhes').textContent, /FLC0112/);
+    } finally {
+        await page.close();
+    }
+});
+
+test('extractSchedule clica quando a requisição repetida devolve a primeira disciplina', async () => {
+    // O servidor escolhe o painel por um parâmetro que junta código e turma, e a
+    // primeira disciplina não tem a tabela do oferecimento para comparar os horários
+    const panels = {
+        ...PANELS,
+        MAC0110: buildDetailsPanel({
+            code: 'MAC0110', title: 'Introdução à Computação', turma: '2026101', start: '03/08/2026', end: '05/12/2026', rows: []
+        })
+    };
+    const page = await startFakeJupiter({ panels, respond: url => panels[url.searchParams.get('ref').split('-')[0]] });
+    try {
+        const { result } = await page.extract();
+
+        assert.strictEqual(result.success, true);
+        assert.deepStrictEqual(summarize(result.data).slice(2), EXPECTED.slice(2));
+        assert.deepStrictEqual(
+            page.requests.map(url => url.searchParams.get('ref')).filter(ref => ref.startsWith('MAT2453')),
+            ['MAT2453-2026102']
+        );
+        assert.match(page.window.document.querySelector('#tab_detalhes').textContent, /FLC0112/);
+    } finally {
+        await page.close();
+    }
+});
+
+test('adaptRequest troca só os parâmetros cujo valor inteiro é o identificador', async () => {
+    const page = await startFakeJupiter({ panels: PANELS });
+    try {
+        const adapted = page.window.adaptRequest({
+            method: 'POST',
+            url: 'https://uspdigital.usp.br/jupiterweb/detalhes?sgldis=MAC0110&ref=MAC0110-2026101',
+            body: 'codtur=2026101&turmas=20261010&nome=MAC0110+Introdu%C3%A7%C3%A3o',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded; charset=UTF-8' }
+        }, { disciplina: 'MAC0110', turma: '2026101' }, { disciplina: 'MAT2453', turma: '2026102' });
+
+        assert.strictEqual(adapted.url, 'https://uspdigital.usp.br/jupiterweb/detalhes?sgldis=MAT2453&ref=MAC0110-2026101');
+        assert.strictEqual(adapted.body, 'codtur=2026102&turmas=20261010&nome=MAC0110+Introdu%C3%A7%C3%A3o');
+
+        // Um corpo JSON não é lido como formulário
+        const json = page.window.adaptRequest(
+            { method: 'POST', url: 'https://uspdigital.usp.br/jupiterweb/detalhes', body: '{"sgldis":"MAC0110"}', headers: { 'content-type': 'application/json' } },
+            { disciplina: 'MAC0110' }, { disciplina: 'MAT2453' }
+        );
+        assert.strictEqual(json.body, '{"sgldis":"MAC0110"}');
+    } finally {
+        await page.close();
+    }
+});
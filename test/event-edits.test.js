@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createScriptContext, toPlain } = require('./helpers');
+
+const context = createScriptContext(['academic-calendar.js', 'professors.js', 'ics.js', 'event-edits.js']);
+
+const EVENT = {
+    title: 'Introdução à Computação',
+    code: 'MAC0110',
+    turma: '2026101',
+    day: 'Segunda-feira',
+    startTime: '08:00',
+    endTime: '09:40',
+    location: 'B-101',
+    startDate: new Date('2026-08-03T00:00:00').toISOString(),
+    endDate: new Date('2026-12-05T00:00:00').toISOString(),
+    professors: 'Docente A',
+    description: 'Disciplina: MAC0110\nProfessor(a): Docente A\nTurma: 2026101'
+};
+
+test('getEventKey não depende dos campos editáveis e separa turmas e horários', () => {
+    const key = context.getEventKey(EVENT);
+
+    assert.strictEqual(key, 'MAC0110-2026101-MO-0800@calendarusp');
+    assert.strictEqual(context.getEventKey({ ...EVENT, title: 'Outro título', location: 'B-102' }), key);
+    assert.notStrictEqual(context.getEventKey({ ...EVENT, turma: '2026102' }), key);
+    assert.notStrictEqual(context.getEventKey({ ...EVENT, day: 'Quarta-feira' }), key);
+});
+
+test('applyEventEdits aplica os campos alterados sem mexer na aula original', () => {
+    const original = { ...EVENT };
+    const edited = toPlain(context.applyEventEdits(original, { location: 'B-05', endTime: '10:00' }));
+
+    assert.strictEqual(edited.location, 'B-05');
+    assert.strictEqual(edited.endTime, '10:00');
+    assert.strictEqual(edited.title, EVENT.title);
+    assert.strictEqual(edited.description, EVENT.description);
+    assert.deepStrictEqual(original, EVENT);
+});
+
+test('applyEventEdits devolve a própria aula quando não há edições', () => {
+    assert.strictEqual(context.applyEventEdits(EVENT, undefined), EVENT);
+    assert.strictEqual(context.applyEventEdits(EVENT, {}), EVENT);
+});
+
+test('applyEventEdits refaz a linha do professor na descrição', () => {
+    const edited = context.applyEventEdits(EVENT, { professors: 'Docente B; Docente C' });
+
+    assert.strictEqual(edited.description, 'Disciplina: MAC0110\nProfessor(a): Docente B; Docente C\nTurma: 2026101');
+});
+
+test('toFieldInputValue e fromFieldInputValue convertem datas entre a aula e o <input>', () => {
+    const dateField = { name: 'startDate', type: 'date' };
+    const textField = { name: 'location', type: 'text' };
+
+    assert.strictEqual(context.toFieldInputValue(EVENT, dateField), '2026-08-03');
+    assert.strictEqual(context.fromFieldInputValue(dateField, ' 2026-08-03 '), EVENT.startDate);
+    assert.strictEqual(context.fromFieldInputValue(dateField, ''), null);
+    assert.strictEqual(context.toFieldInputValue({ ...EVENT, location: '' }, textField), '');
+    assert.strictEqual(context.fromFieldInputValue(textField, '  B-05 '), 'B-05');
+});
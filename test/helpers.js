@@ -0,0 +1,226 @@
+/**
+ * @file helpers.js
+ * @description Utilitários dos testes: carregam os scripts da extensão (que não
+ * são módulos e compartilham variáveis globais, como no navegador) num contexto do
+ * vm ou numa página do jsdom, e simulam a página de grade horária do JúpiterWeb.
+ */
+
+// As datas das aulas são calculadas no horário local, como no navegador do aluno
+process.env.TZ = 'America/Sao_Paulo';
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * Carrega scripts da extensão num contexto, na ordem dada.
+ * @param {Object} context - O contexto do vm ou o de uma página do jsdom.
+ * @param {Array<string>} files - Os scripts, relativos à raiz do repositório.
+ */
+function loadScripts(context, files) {
+    files.forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+    });
+}
+
+/**
+ * Cria um contexto do vm com os scripts carregados, para o código que não usa o DOM.
+ * @param {Array<string>} files - Os scripts.
+ * @param {Object} [globals] - Globais extras (ex: fetch, DOMParser).
+ * @returns {Object} O contexto, com as funções dos scripts como propriedades.
+ */
+function createScriptContext(files, globals = {}) {
+    const context = vm.createContext({ console, TextEncoder, URL, URLSearchParams, setTimeout, clearTimeout, ...globals });
+    loadScripts(context, files);
+    return context;
+}
+
+/**
+ * Abre um HTML no jsdom, sem rodar os scripts da página, e carrega nele os
+ * scripts da extensão.
+ * @param {string} html - O HTML.
+ * @param {Array<string>} files - Os scripts.
+ * @returns {JSDOM} A página; feche com dom.window.close().
+ */
+function createPage(html, files) {
+    const dom = new JSDOM(html, { runScripts: 'outside-only' });
+    loadScripts(dom.getInternalVMContext(), files);
+    return dom;
+}
+
+/**
+ * Lê um arquivo do repositório.
+ * @param {string} file - O caminho relativo à raiz.
+ * @returns {string} O conteúdo.
+ */
+function readRepoFile(file) {
+    return fs.readFileSync(path.join(ROOT, file), 'utf8');
+}
+
+/**
+ * Copia um valor criado em outro contexto para objetos deste contexto, para que
+ * assert.deepStrictEqual não tropece nos protótipos diferentes.
+ * @param {*} value - O valor.
+ * @returns {*} A cópia.
+ */
+function toPlain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Inicia um servidor de testes numa porta livre.
+ * @param {http.Server} server - O servidor (ex: os servidores falsos de tools/).
+ * @returns {Promise<string>} O endereço do servidor, sem barra no fim.
+ */
+async function listen(server) {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return `http://127.0.0.1:${server.address().port}`;
+}
+
+/**
+ * Encerra um servidor de testes.
+ * @param {http.Server} server - O servidor.
+ * @returns {Promise<void>}
+ */
+function close(server) {
+    return new Promise(resolve => server.close(resolve));
+}
+
+/**
+ * Monta o painel de detalhes de uma disciplina como o Júpiter devolve, com os
+ * modelos ocultos (div e tr com classe "template") que a leitura deve ignorar.
+ * @param {Object} discipline - A disciplina.
+ * @param {string} discipline.code - O código.
+ * @param {string} discipline.title - O nome.
+ * @param {string} discipline.turma - A turma.
+ * @param {string} discipline.start - O início, em "dd/mm/aaaa".
+ * @param {string} discipline.end - O fim, em "dd/mm/aaaa".
+ * @param {Array<Array<string>>} discipline.rows - As linhas [dia, início, fim, professor].
+ * @returns {string} O HTML do conteúdo de #tab_detalhes.
+ */
+function buildDetailsPanel({ code, title, turma, start, end, rows }) {
+    const cells = row => row.map(text => `<td>${text}</td>`).join('');
+    return `
+        <ul><li><a href="#div_disciplina">Disciplina</a></li><li><a href="#div_oferecimento">Oferecimento</a></li></ul>
+        <div id="div_disciplina"><span class="sgldis">${code}</span> - <span class="nomdis">${title}</span></div>
+        <div id="div_oferecimento">
+            <div class="template" style="display:none"><span class="codtur"></span><span class="dtainitur"></span><span class="dtafimtur"></span></div>
+            <span class="codtur">${turma}</span><span class="dtainitur">${start}</span><span class="dtafimtur">${end}</span>
+            <table class="horarios"><tbody>
+                <tr class="template" style="display:none"><td></td><td></td><td></td><td></td></tr>
+                ${rows.map(row => `<tr>${cells(row)}</tr>`).join('')}
+            </tbody></table>
+        </div>`;
+}
+
+/**
+ * Script da página simulada: clicar numa disciplina da grade pede o painel de
+ * detalhes ao servidor por XHR (como a interface do Júpiter) e o exibe.
+ * @type {string}
+ */
+const FAKE_JUPITER_SCRIPT = `
+    document.getElementById('tab_detalhes').style.display = 'none';
+    document.querySelectorAll('span[data-disciplina]').forEach(span => span.addEventListener('click', () => {
+        const xhr = new XMLHttpRequest();
+        xhr.open('GET', 'detalhes?sgldis=' + span.dataset.disciplina + '&codtur=' + span.dataset.turma +
+            '&ref=' + span.dataset.disciplina + '-' + span.dataset.turma);
+        xhr.setRequestHeader('X-Requested-With', 'XMLHttpRequest');
+        xhr.onload = () => {
+            const panel = document.getElementById('tab_detalhes');
+            panel.innerHTML = xhr.responseText;
+            panel.style.display = 'block';
+        };
+        xhr.send();
+    }));
+`;
+
+/**
+ * Sobe um servidor local com a grade horária da página de exemplo e um endpoint
+ * de detalhes, e abre a página no jsdom com content.js carregado, como o popup
+ * faria. O painel de MAC0110 é o da própria página de exemplo.
+ * @param {Object} options - A simulação.
+ * @param {Object<string, string>} options.panels - O HTML do painel por código;
+ * o servidor responde 404 para os outros.
+ * @param {boolean} [options.bridge=true] - Se carrega page-bridge.js (sem ela, só
+ * o caminho por cliques funciona).
+ * @param {function(URL): ?string} [options.respond] - Substitui a resposta do
+ * endpoint de detalhes quando devolve um texto.
+ * @returns {Promise<{window: Window, requests: Array<URL>, extract: function(): Promise<Object>, close: function(): Promise<void>}>}
+ * A página, as requisições de detalhes recebidas e a extração pela porta do popup.
+ */
+async function startFakeJupiter({ panels, bridge = true, respond = () => null }) {
+    const fixture = readRepoFile('tools/fixtures/grade-horaria.html');
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        if (url.pathname.endsWith('/gradeHoraria')) {
+            res.setHeader('content-type', 'text/html; charset=utf-8');
+            res.end(fixture);
+            return;
+        }
+        requests.push(url);
+        const body = respond(url) || panels[url.searchParams.get('sgldis')];
+        res.statusCode = body ? 200 : 404;
+        res.setHeader('content-type', 'text/html; charset=utf-8');
+        res.end(body || '');
+    });
+    const base = `${await listen(server)}/jupiterweb/`;
+
+    const html = fixture.replace('</body>', `<script>${FAKE_JUPITER_SCRIPT}</script></body>`);
+    const dom = new JSDOM(html, { url: `${base}gradeHoraria`, runScripts: 'dangerously' });
+    const { window } = dom;
+
+    // O jsdom não calcula layout: um elemento é visível se nenhum ancestral está com display none
+    Object.defineProperty(window.HTMLElement.prototype, 'offsetParent', {
+        get() {
+            for (let element = this; element; element = element.parentElement) {
+                if (element.style.display === 'none') return null;
+            }
+            return this.ownerDocument.body;
+        }
+    });
+    window.fetch = (url, init) => fetch(new URL(url, window.location.href), init);
+
+    let onConnect = null;
+    window.browser = { runtime: { onConnect: { addListener: listener => { onConnect = listener; } } } };
+    loadScripts(dom.getInternalVMContext(), [...(bridge ? ['page-bridge.js'] : []), 'professors.js', 'schedule-parser.js', 'content.js']);
+
+    const extract = () => new Promise(resolve => {
+        const messages = [];
+        const listeners = [];
+        onConnect({
+            name: 'calendarusp-extract',
+            onMessage: { addListener: listener => listeners.push(listener) },
+            onDisconnect: { addListener: () => {} },
+            postMessage: message => {
+                messages.push(toPlain(message));
+                if (message.type !== 'progress') resolve({ result: toPlain(message), messages });
+            }
+        });
+        listeners.forEach(listener => listener({ action: 'extract' }));
+    });
+
+    const stop = async () => {
+        window.close();
+        await close(server);
+    };
+
+    return { window, requests, extract, close: stop };
+}
+
+module.exports = {
+    ROOT,
+    loadScripts,
+    createScriptContext,
+    createPage,
+    readRepoFile,
+    toPlain,
+    listen,
+    close,
+    buildDetailsPanel,
+    startFakeJupiter
+};
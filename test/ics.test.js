@@ -0,0 +1,196 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createPage, createScriptContext, readRepoFile, toPlain } = require('./helpers');
+
+const context = createScriptContext(['academic-calendar.js', 'professors.js', 'ics.js']);
+
+/**
+ * Instante fixo usado em DTSTAMP (e como referência das turmas sem data de início).
+ * @type {Date}
+ */
+const NOW = new Date('2026-07-01T12:34:56Z');
+
+const HOLIDAYS = [
+    { date: '2026-09-07', name: 'Independência do Brasil' },
+    { date: '2026-10-12', name: 'Nossa Senhora Aparecida' },
+    { date: '2026-11-20', name: 'Dia da Consciência Negra' }
+];
+
+const EVENT = {
+    title: 'Introdução à Computação; turma A, noturno',
+    code: 'MAC0110',
+    turma: '2026101',
+    day: 'Segunda-feira',
+    startTime: '08:00',
+    endTime: '09:40',
+    location: 'Bloco B\\Sala 101',
+    startDate: new Date('2026-08-03T00:00:00').toISOString(),
+    endDate: new Date('2026-12-05T00:00:00').toISOString(),
+    professors: 'Docente A; Docente B',
+    notes: '',
+    description: 'Disciplina: MAC0110\nProfessor(a): Docente A; Docente B\nObservações: Introdução à programação com ênfase em raciocínio lógico; P1 em 10/09'
+};
+
+const UNDATED_EVENT = {
+    title: 'Cálculo I',
+    code: 'MAT2453',
+    turma: '',
+    day: 'Terça-feira',
+    startTime: '10:00',
+    endTime: '11:40',
+    location: '',
+    startDate: null,
+    endDate: null,
+    professors: 'Docente não informado',
+    notes: '',
+    description: 'Disciplina: MAT2453'
+};
+
+/**
+ * Desfaz a dobra das linhas de um .ics.
+ * @param {string} ics - O conteúdo do arquivo.
+ * @returns {Array<string>} As linhas lógicas.
+ */
+function unfold(ics) {
+    return ics.replace(/\r\n /g, '').split('\r\n');
+}
+
+test('buildIcsCalendar gera o arquivo esperado', () => {
+    const ics = context.buildIcsCalendar([EVENT, UNDATED_EVENT], { now: NOW, nonTeachingDays: [HOLIDAYS[0]] });
+    assert.strictEqual(ics, readRepoFile('test/fixtures/aulas.ics'));
+});
+
+test('buildIcsCalendar gera o arquivo esperado para a página de exemplo', () => {
+    const { window } = createPage(readRepoFile('tools/fixtures/grade-horaria.html'), ['professors.js', 'schedule-parser.js']);
+    const events = toPlain(window.parseSavedSchedulePage(window.document).data);
+    window.close();
+
+    const ics = context.buildIcsCalendar(events, { now: NOW, nonTeachingDays: HOLIDAYS });
+    assert.strictEqual(ics, readRepoFile('test/fixtures/grade-horaria.ics'));
+});
+
+test('buildEventUid é estável e não depende dos campos editáveis', () => {
+    const uid = context.buildEventUid(EVENT);
+    assert.strictEqual(uid, 'MAC0110-2026101-MO-0800@calendarusp');
+    assert.strictEqual(context.buildEventUid({ ...EVENT, title: 'Outro nome', location: 'C-2', endTime: '10:00' }), uid);
+    assert.strictEqual(context.buildEventUid(UNDATED_EVENT), 'MAT2453-turma-TU-1000@calendarusp');
+
+    // Um período próprio no mesmo horário vira outro evento
+    assert.strictEqual(context.buildEventUid({ ...EVENT, period: '2026-10-05' }), 'MAC0110-2026101-MO-0800-20261005@calendarusp');
+    assert.notStrictEqual(context.buildEventUid({ ...EVENT, turma: '2026102' }), uid);
+
+    const first = unfold(context.buildIcsCalendar([EVENT], { now: NOW }));
+    const second = unfold(context.buildIcsCalendar([EVENT], { now: new Date('2026-08-15T09:00:00Z') }));
+    assert.deepStrictEqual(first.filter(line => line.startsWith('UID:')), second.filter(line => line.startsWith('UID:')));
+});
+
+test('DTSTAMP é o instante da exportação em UTC', () => {
+    const lines = unfold(context.buildIcsCalendar([EVENT, UNDATED_EVENT], { now: NOW }));
+    assert.deepStrictEqual(lines.filter(line => line.startsWith('DTSTAMP:')), ['DTSTAMP:20260701T123456Z', 'DTSTAMP:20260701T123456Z']);
+
+    // Sem "now", usa o relógio atual, sempre em UTC
+    const [stamp] = unfold(context.buildIcsCalendar([EVENT])).filter(line => line.startsWith('DTSTAMP:'));
+    assert.match(stamp, /^DTSTAMP:\d{8}T\d{6}Z$/);
+});
+
+test('getProfessorNames separa os nomes só no ponto e vírgula', () => {
+    assert.deepStrictEqual(
+        toPlain(context.getProfessorNames({ professors: 'Silva, Maria da; Docente não informado; Souza, João' })),
+        ['Silva, Maria da', 'Souza, João']
+    );
+    assert.deepStrictEqual(toPlain(context.getProfessorNames({ professors: 'Docente não informado' })), []);
+});
+
+test('buildIcsUpdateCalendar sobe o SEQUENCE e cancela as aulas removidas ou com novo UID', () => {
+    const moved = { ...EVENT, startTime: '10:00', endTime: '11:40' };
+    const diff = {
+        added: [UNDATED_EVENT],
+        removed: [{ ...EVENT, code: 'FLC0112' }],
+        changed: [{ before: EVENT, after: moved, fields: [] }]
+    };
+    const events = unfold(context.buildIcsUpdateCalendar(diff, { now: NOW, reminders: { defaultMinutes: 10, overrides: {} } }))
+        .join('\n').split('BEGIN:VEVENT\n').slice(1)
+        .map(block => block.split('\n').filter(line => /^(UID|SEQUENCE|STATUS|TRIGGER):/.test(line)));
+
+    // SEQUENCE padrão: minutos desde 2020-01-01 até o momento da exportação
+    assert.deepStrictEqual(events, [
+        ['UID:MAT2453-turma-TU-1000@calendarusp', 'SEQUENCE:3417874', 'TRIGGER:-PT10M'],
+        ['UID:MAC0110-2026101-MO-0800@calendarusp', 'SEQUENCE:3417874', 'STATUS:CANCELLED'],
+        ['UID:MAC0110-2026101-MO-1000@calendarusp', 'SEQUENCE:3417874', 'TRIGGER:-PT10M'],
+        ['UID:FLC0112-2026101-MO-0800@calendarusp', 'SEQUENCE:3417874', 'STATUS:CANCELLED']
+    ]);
+
+    const explicit = context.buildIcsUpdateCalendar({ added: [EVENT], removed: [], changed: [] }, { now: NOW, sequence: 7 });
+    assert.match(explicit, /\r\nSEQUENCE:7\r\n/);
+});
+
+test('buildIcsCalendar emite VALARM só para as aulas com lembrete', () => {
+    /**
+     * Separa as linhas de cada VEVENT do calendário.
+     * @param {Object} reminders - As configurações de lembrete.
+     * @returns {Array<Array<string>>} As linhas de cada evento, sem BEGIN:VEVENT.
+     */
+    const eventBlocks = reminders => unfold(context.buildIcsCalendar([EVENT, UNDATED_EVENT], { now: NOW, reminders }))
+        .join('\n').split('BEGIN:VEVENT\n').slice(1)
+        .map(block => block.split('\nEND:VEVENT')[0].split('\n'));
+
+    const [withOverride, withoutOverride] = eventBlocks({ defaultMinutes: null, overrides: { MAC0110: 15 } });
+    const alarmStart = withOverride.indexOf('BEGIN:VALARM');
+    assert.deepStrictEqual(withOverride.slice(alarmStart), [
+        'BEGIN:VALARM',
+        'ACTION:DISPLAY',
+        'DESCRIPTION:Introdução à Computação\\; turma A\\, noturno',
+        'TRIGGER:-PT15M',
+        'END:VALARM'
+    ]);
+    assert.ok(!withoutOverride.includes('BEGIN:VALARM'));
+
+    // O padrão vale para todas, menos as desligadas com null
+    const [withDefault, switchedOff] = eventBlocks({ defaultMinutes: 30, overrides: { MAT2453: null } });
+    assert.ok(withDefault.includes('TRIGGER:-PT30M'));
+    assert.ok(!switchedOff.some(line => line.includes('VALARM') || line.startsWith('TRIGGER:')));
+
+    const [noReminders] = eventBlocks(undefined);
+    assert.ok(!noReminders.includes('BEGIN:VALARM'));
+});
+
+test('escapeIcsText escapa vírgula, ponto e vírgula, barra invertida e quebra de linha', () => {
+    assert.strictEqual(context.escapeIcsText('a,b;c\\d\ne\r\nf'), 'a\\,b\\;c\\\\d\\ne\\nf');
+    assert.strictEqual(context.escapeIcsText(null), '');
+
+    const lines = unfold(context.buildIcsCalendar([EVENT], { now: NOW }));
+    assert.ok(lines.includes('SUMMARY:Introdução à Computação\\; turma A\\, noturno'));
+    assert.ok(lines.includes('LOCATION:Bloco B\\\\Sala 101'));
+});
+
+test('foldIcsLine dobra em 75 octetos sem partir caracteres multibyte', () => {
+    // 74 octetos ASCII seguidos de "ç" (2 octetos): o "ç" não cabe e passa inteiro para a próxima linha
+    const line = `DESCRIPTION:${'a'.repeat(55)}${'Introdução '.repeat(12)}`;
+    const folded = context.foldIcsLine(line);
+    const physical = folded.split('\r\n');
+
+    assert.strictEqual(Buffer.byteLength(physical[0]), 74);
+    assert.ok(physical[0].endsWith('Introdu'));
+    assert.ok(physical[1].startsWith(' ção'));
+    physical.forEach(part => assert.ok(Buffer.byteLength(part) <= 75, `linha com ${Buffer.byteLength(part)} octetos`));
+    physical.slice(1).forEach(part => assert.ok(part.startsWith(' ')));
+    assert.strictEqual(folded.replace(/\r\n /g, ''), line);
+
+    // Uma linha de exatamente 75 octetos não é dobrada
+    assert.strictEqual(context.foldIcsLine(`SUMMARY:${'x'.repeat(67)}`), `SUMMARY:${'x'.repeat(67)}`);
+});
+
+test('as linhas do arquivo nunca passam de 75 octetos', () => {
+    const ics = context.buildIcsCalendar([EVENT], { now: NOW });
+    ics.split('\r\n').forEach(line => assert.ok(Buffer.byteLength(line) <= 75, line));
+    assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+});
+
+test('UNTIL fica em UTC, no fim do último dia letivo em São Paulo', () => {
+    assert.strictEqual(context.buildWeeklyRule(EVENT), 'FREQ=WEEKLY;BYDAY=MO;UNTIL=20261206T025959Z');
+    assert.strictEqual(context.buildWeeklyRule(UNDATED_EVENT), 'FREQ=WEEKLY;BYDAY=TU;COUNT=18');
+
+    const lines = unfold(context.buildIcsCalendar([EVENT], { now: NOW }));
+    assert.ok(lines.includes('RRULE:FREQ=WEEKLY;BYDAY=MO;UNTIL=20261206T025959Z'));
+    assert.ok(lines.includes('DTSTART;TZID=America/Sao_Paulo:20260803T080000'));
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createPage, createScriptContext, readRepoFile, toPlain } = require('./helpers');
+
+/**
+ * Abre a página de importação com um armazenamento da extensão em memória.
+ * @param {Object} [stored] - O conteúdo inicial do armazenamento.
+ * @returns {{window: Window, stored: Object}} A página e o armazenamento.
+ */
+function openImportPage(stored = {}) {
+    const { window } = createPage(readRepoFile('import.html'), ['schedule-store.js', 'schedule-export.js', 'import.js']);
+    test.after(() => window.close());
+    window.browser = {
+        storage: {
+            local: {
+                get: async key => ({ [key]: stored[key] }),
+                set: async values => { Object.assign(stored, values); }
+            }
+        }
+    };
+    return { window, stored };
+}
+
+const EVENT = {
+    title: 'Introdução à Computação',
+    code: 'MAC0110',
+    turma: '2026101',
+    day: 'Segunda-feira',
+    startTime: '08:00',
+    endTime: '09:40',
+    location: 'B-101',
+    startDate: new Date('2026-08-03T00:00:00').toISOString(),
+    endDate: new Date('2026-12-05T00:00:00').toISOString(),
+    professors: 'Silva, Maria; Souza, João',
+    notes: '',
+    description: 'Disciplina: MAC0110'
+};
+
+test('importScheduleJson troca a grade salva e mantém as preferências', async () => {
+    const { window, stored } = openImportPage({
+        lastSchedule: {
+            events: [{ ...EVENT, code: 'MAT2453' }],
+            edits: { antiga: { location: 'C-201' } },
+            excludedKeys: ['antiga'],
+            conflictResolutions: { antigo: 'first' },
+            reminders: { defaultMinutes: 15, overrides: {} },
+            campus: 'São Carlos',
+            includeHolidays: true
+        }
+    });
+    const json = createScriptContext(['academic-calendar.js', 'schedule-export.js']).buildScheduleJson([EVENT]);
+
+    assert.strictEqual(await window.importScheduleJson(json), 1);
+
+    const state = toPlain(stored.lastSchedule);
+    assert.deepStrictEqual(state.events.map(event => [event.code, event.professors]), [['MAC0110', 'Silva, Maria; Souza, João']]);
+    assert.deepStrictEqual([state.edits, state.excludedKeys, state.conflictResolutions], [{}, [], {}]);
+    assert.deepStrictEqual([state.reminders.defaultMinutes, state.campus, state.includeHolidays], [15, 'São Carlos', true]);
+});
+
+test('importScheduleJson recusa arquivos que não são grades exportadas', async () => {
+    const { window, stored } = openImportPage();
+
+    await assert.rejects(window.importScheduleJson('{"events": []}'), /não é uma grade exportada/);
+    assert.deepStrictEqual(stored, {});
+});
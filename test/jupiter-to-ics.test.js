@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ROOT } = require('./helpers');
+const { main } = require('../tools/jupiter-to-ics');
+
+const FIXTURE = path.join(ROOT, 'tools/fixtures/grade-horaria.html');
+const CLI = path.join(ROOT, 'tools/jupiter-to-ics.js');
+
+/**
+ * Roda o comando num processo próprio, com outro fuso horário.
+ * @param {Array<string>} args - Os argumentos.
+ * @param {string} [tz] - O fuso horário do processo.
+ * @returns {{status: number, stdout: string, stderr: string}} O resultado.
+ */
+function runCli(args, tz = 'UTC') {
+    return spawnSync(process.execPath, [CLI, ...args], { env: { ...process.env, TZ: tz }, encoding: 'utf8', timeout: 60000 });
+}
+
+/**
+ * Converte a página de exemplo numa pasta temporária, guardando o que o comando
+ * escreveu no terminal.
+ * @param {Object} t - O contexto do teste.
+ * @param {Array<string>} flags - As opções antes da página.
+ * @returns {{status: number, ics: string, errors: Array<string>}} O código de
+ * saída, o .ics gerado e os avisos.
+ */
+function convert(t, flags) {
+    const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'calendarusp-'));
+    t.after(() => fs.rmSync(outputDir, { recursive: true, force: true }));
+    const errors = [];
+    t.mock.method(console, 'error', message => errors.push(message));
+    t.mock.method(console, 'log', () => {});
+
+    const status = main([...flags, '--saida', outputDir, FIXTURE]);
+    return { status, ics: fs.readFileSync(path.join(outputDir, 'grade-horaria.ics'), 'utf8'), errors };
+}
+
+test('jupiter-to-ics omite as disciplinas sem detalhes e avisa quais foram', t => {
+    const { status, ics, errors } = convert(t, []);
+
+    assert.strictEqual(status, 0);
+    assert.deepStrictEqual(errors, [`${FIXTURE}: sem detalhes de MAT2453, FLC0112; omitidas (use --incompletas para incluí-las)`]);
+    assert.strictEqual(ics.match(/BEGIN:VEVENT/g).length, 2);
+    assert.doesNotMatch(ics, /MAT2453|FLC0112/);
+});
+
+test('jupiter-to-ics inclui as disciplinas sem detalhes com --incompletas', t => {
+    const { status, ics, errors } = convert(t, ['--incompletas']);
+
+    assert.strictEqual(status, 0);
+    assert.deepStrictEqual(errors, [`${FIXTURE}: sem detalhes de MAT2453, FLC0112; incluídas com 18 semanas a partir de hoje`]);
+    assert.strictEqual(ics.match(/BEGIN:VEVENT/g).length, 5);
+    assert.match(ics, /RRULE:FREQ=WEEKLY;BYDAY=FR;COUNT=18/);
+});
+
+test('jupiter-to-ics calcula o UNTIL no fuso de São Paulo em qualquer máquina', t => {
+    const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'calendarusp-'));
+    t.after(() => fs.rmSync(outputDir, { recursive: true, force: true }));
+
+    ['UTC', 'Asia/Tokyo'].forEach(tz => {
+        const { status, stderr } = runCli(['--saida', outputDir, FIXTURE], tz);
+        assert.strictEqual(status, 0, stderr);
+        const ics = fs.readFileSync(path.join(outputDir, 'grade-horaria.ics'), 'utf8');
+        assert.match(ics, /RRULE:FREQ=WEEKLY;BYDAY=MO;UNTIL=20261206T025959Z/, tz);
+        assert.match(ics, /DTSTART;TZID=America\/Sao_Paulo:20260803T080000/, tz);
+    });
+});
+
+test('jupiter-to-ics mostra o uso com --help e recusa opções desconhecidas', () => {
+    const help = runCli(['--help']);
+    assert.strictEqual(help.status, 0);
+    assert.match(help.stdout, /^Uso: node tools\/jupiter-to-ics\.js/);
+
+    const unknown = runCli(['--formato', 'ics', FIXTURE]);
+    assert.strictEqual(unknown.status, 1);
+    assert.match(unknown.stderr, /Opção desconhecida: --formato/);
+});
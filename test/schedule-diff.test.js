@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createScriptContext, toPlain } = require('./helpers');
+
+const context = createScriptContext(['academic-calendar.js', 'professors.js', 'ics.js', 'schedule-diff.js']);
+
+/**
+ * Cria uma aula do segundo semestre de 2026.
+ * @param {string} code - O código da disciplina.
+ * @param {string} day - O dia da semana.
+ * @param {Object} [overrides] - Campos a trocar.
+ * @returns {Object} A aula.
+ */
+function makeEvent(code, day, overrides = {}) {
+    return {
+        title: `${code} - Disciplina`,
+        code,
+        turma: '2026101',
+        day,
+        startTime: '08:00',
+        endTime: '09:40',
+        location: 'B-101',
+        startDate: new Date('2026-08-03T00:00:00').toISOString(),
+        endDate: new Date('2026-12-05T00:00:00').toISOString(),
+        professors: 'Docente A',
+        notes: '',
+        description: `Disciplina: ${code}`,
+        ...overrides
+    };
+}
+
+test('diffSchedules separa aulas adicionadas, removidas e alteradas', () => {
+    const monday = makeEvent('MAC0110', 'Segunda-feira');
+    const wednesday = makeEvent('MAC0110', 'Quarta-feira');
+    const tuesday = makeEvent('MAT2453', 'Terça-feira');
+    const friday = makeEvent('FLC0112', 'Sexta-feira');
+
+    const diff = toPlain(context.diffSchedules([monday, wednesday, tuesday], [
+        { ...monday, location: 'C-201' },
+        { ...wednesday, startTime: '10:00', endTime: '11:40' },
+        friday
+    ]));
+
+    assert.deepStrictEqual(diff.added.map(event => event.code), ['FLC0112']);
+    assert.deepStrictEqual(diff.removed.map(event => event.code), ['MAT2453']);
+    assert.deepStrictEqual(
+        diff.changed.map(change => [change.before.day, change.fields.map(field => [field.name, field.before, field.after])]),
+        [
+            ['Segunda-feira', [['location', 'B-101', 'C-201']]],
+            // O novo horário muda o UID, mas a aula é pareada pela disciplina e pelo dia
+            ['Quarta-feira', [['startTime', '08:00', '10:00'], ['endTime', '09:40', '11:40']]]
+        ]
+    );
+});
+
+test('diffSchedules não lista aulas iguais nem campos vazios trocados por nulos', () => {
+    const monday = makeEvent('MAC0110', 'Segunda-feira', { location: '' });
+    const diff = toPlain(context.diffSchedules([monday], [{ ...monday, location: null }]));
+    assert.deepStrictEqual(diff, { added: [], removed: [], changed: [] });
+});
@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createScriptContext, toPlain } = require('./helpers');
+
+const context = createScriptContext(['academic-calendar.js', 'schedule-export.js']);
+
+const EVENT = {
+    title: 'Tópicos "Especiais" de Computação',
+    code: 'MAC0110',
+    turma: '2026101',
+    day: 'Segunda-feira',
+    startTime: '08:00',
+    endTime: '09:40',
+    location: 'B-101',
+    startDate: new Date('2026-08-03T00:00:00').toISOString(),
+    endDate: new Date('2026-12-05T00:00:00').toISOString(),
+    professors: 'Silva, Maria; Souza, João',
+    notes: '',
+    description: 'Disciplina: MAC0110\nProfessor(a): Silva, Maria; Souza, João'
+};
+
+/**
+ * Cabeçalhos das colunas do CSV e os campos correspondentes do JSON, como
+ * documentados no README.
+ * @type {Object<string, string>}
+ */
+const CSV_COLUMNS = {
+    'Código': 'code',
+    'Turma': 'turma',
+    'Disciplina': 'title',
+    'Dia': 'day',
+    'Início': 'startTime',
+    'Fim': 'endTime',
+    'Local': 'location',
+    'Professor(a)': 'professors',
+    'Primeiro dia': 'startDate',
+    'Último dia': 'endDate'
+};
+
+/**
+ * Lê um CSV no formato de buildScheduleCsv (RFC 4180, com BOM e CRLF).
+ * @param {string} text - O conteúdo do arquivo.
+ * @returns {Array<Array<string>>} As linhas, com as células.
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    const body = text.replace(/^\uFEFF/, '');
+    for (let i = 0; i < body.length; i++) {
+        const char = body[i];
+        if (quoted) {
+            if (char === '"' && body[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\r' && body[i + 1] === '\n') {
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+            i++;
+        } else {
+            cell += char;
+        }
+    }
+    return rows;
+}
+
+test('buildScheduleCsv gera um CSV que volta para a mesma aula por fromExportRecord', () => {
+    const undated = { ...EVENT, code: 'MAT2453', startDate: null, endDate: null, description: '' };
+    const [header, ...rows] = parseCsv(context.buildScheduleCsv([EVENT, undated]));
+
+    assert.deepStrictEqual(header, Object.keys(CSV_COLUMNS));
+    assert.strictEqual(rows.length, 2);
+
+    const events = rows.map((cells, index) => {
+        const record = Object.fromEntries(cells.map((value, column) => [CSV_COLUMNS[header[column]], value]));
+        return toPlain(context.fromExportRecord(record, index));
+    });
+
+    // O CSV não tem observações nem descrição; a descrição volta no formato da extração
+    assert.deepStrictEqual(events[0], EVENT);
+    assert.deepStrictEqual(events[1], {
+        ...undated,
+        description: 'Disciplina: MAT2453\nProfessor(a): Silva, Maria; Souza, João'
+    });
+});
+
+test('buildScheduleJson e parseScheduleJson preservam a aula, o período e a descrição', () => {
+    const withPeriod = { ...EVENT, period: '2026-08-03', notes: 'P1 em 10/09' };
+    const json = context.buildScheduleJson([withPeriod], new Date('2026-07-01T12:00:00Z'));
+    const imported = toPlain(context.parseScheduleJson(json));
+
+    assert.strictEqual(imported.exportedAt, '2026-07-01T12:00:00.000Z');
+    assert.deepStrictEqual(imported.events, [withPeriod]);
+});
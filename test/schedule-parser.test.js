@@ -0,0 +1,167 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createPage, createScriptContext, readRepoFile, toPlain, buildDetailsPanel } = require('./helpers');
+
+const FIXTURE = readRepoFile('tools/fixtures/grade-horaria.html');
+
+/**
+ * Abre a página de exemplo com schedule-parser.js carregado.
+ * @param {string} [html] - O HTML, se não for a página de exemplo.
+ * @returns {Window} A janela do jsdom.
+ */
+function openPage(html = FIXTURE) {
+    const { window } = createPage(html, ['professors.js', 'schedule-parser.js']);
+    test.after(() => window.close());
+    return window;
+}
+
+test('parseSavedSchedulePage monta as aulas da página de exemplo', () => {
+    const window = openPage();
+    const result = toPlain(window.parseSavedSchedulePage(window.document));
+
+    assert.strictEqual(result.success, true);
+    assert.deepStrictEqual(
+        result.data.map(event => [event.code, event.day, event.startTime, event.endTime, event.professors]),
+        [
+            ['MAC0110', 'Segunda-feira', '08:00', '09:40', 'Docente A'],
+            ['MAC0110', 'Quarta-feira', '08:00', '09:40', 'Docente B; Docente C'],
+            ['MAT2453', 'Terça-feira', '10:00', '11:40', 'Docente não informado'],
+            ['MAT2453', 'Quinta-feira', '10:00', '11:40', 'Docente não informado'],
+            ['FLC0112', 'Sexta-feira', '14:00', '15:40', 'Docente não informado']
+        ]
+    );
+    assert.deepStrictEqual(result.missingDetails, ['MAT2453', 'FLC0112']);
+
+    const [monday] = result.data;
+    assert.strictEqual(monday.title, 'Introdução à Computação');
+    assert.strictEqual(monday.turma, '2026101');
+    assert.strictEqual(monday.location, 'B-101');
+    assert.strictEqual(monday.startDate, new Date('2026-08-03T00:00:00').toISOString());
+    assert.strictEqual(monday.endDate, new Date('2026-12-05T00:00:00').toISOString());
+    assert.strictEqual(monday.notes, 'P1 em 10/09; P2 em 22/10 às 10h');
+
+    // Disciplinas sem painel aberto ficam só com o que a grade mostra
+    const other = result.data[4];
+    assert.strictEqual(other.title, 'FLC0112');
+    assert.strictEqual(other.startDate, null);
+    assert.strictEqual(other.location, '');
+});
+
+test('buildScheduleEvents separa o mesmo horário em um evento por período do oferecimento', () => {
+    const window = openPage();
+    window.document.querySelector('#tab_detalhes').innerHTML = buildDetailsPanel({
+        code: 'MAC0110', title: 'Introdução à Computação', turma: '2026101', start: '03/08/2026', end: '05/12/2026',
+        rows: [
+            ['seg', '08:00', '09:40', 'Docente A', '03/08/2026 a 02/10/2026'],
+            ['seg', '08:00', '09:40', 'Docente B', '05/10/2026 a 05/12/2026'],
+            ['qua', '08:00', '09:40', 'Docente C', '']
+        ]
+    });
+    const events = toPlain(window.parseSavedSchedulePage(window.document).data).filter(event => event.code === 'MAC0110');
+
+    assert.deepStrictEqual(
+        events.map(event => [event.day, event.professors, event.startDate, event.endDate, event.period]),
+        [
+            ['Segunda-feira', 'Docente A', new Date('2026-08-03T00:00:00').toISOString(), new Date('2026-10-02T00:00:00').toISOString(), '2026-08-03'],
+            ['Segunda-feira', 'Docente B', new Date('2026-10-05T00:00:00').toISOString(), new Date('2026-12-05T00:00:00').toISOString(), '2026-10-05'],
+            ['Quarta-feira', 'Docente C', new Date('2026-08-03T00:00:00').toISOString(), new Date('2026-12-05T00:00:00').toISOString(), undefined]
+        ]
+    );
+
+    const ics = createScriptContext(['academic-calendar.js', 'professors.js', 'ics.js']).buildIcsCalendar(events.slice(0, 2), {});
+    assert.deepStrictEqual(ics.match(/^(UID:|DTSTART;|RRULE:).*$/gm), [
+        'UID:MAC0110-2026101-MO-0800-20260803@calendarusp',
+        'DTSTART;TZID=America/Sao_Paulo:20260803T080000',
+        'RRULE:FREQ=WEEKLY;BYDAY=MO;UNTIL=20261003T025959Z',
+        'UID:MAC0110-2026101-MO-0800-20261005@calendarusp',
+        'DTSTART;TZID=America/Sao_Paulo:20261005T080000',
+        'RRULE:FREQ=WEEKLY;BYDAY=MO;UNTIL=20261206T025959Z'
+    ]);
+});
+
+test('readDisciplineDetails ignora os modelos ocultos do Júpiter', () => {
+    const window = openPage();
+    const details = toPlain(window.readDisciplineDetails(window.document.querySelector('#tab_detalhes'), 'MAC0110'));
+
+    // O div.template vazio vem antes dos valores reais; o tr.template não vira linha
+    assert.strictEqual(details.turma, '2026101');
+    assert.deepStrictEqual(
+        details.offeringRows.map(row => [row.day, row.startTime, row.endTime, row.professor]),
+        [
+            ['Segunda-feira', '08:00', '09:40', 'Docente A'],
+            ['Quarta-feira', '08:00', '09:40', 'Docente B'],
+            ['Quarta-feira', '08:00', '09:40', 'Docente C']
+        ]
+    );
+});
+
+test('cleanProfessorNames mantém a vírgula dos nomes escritos como "Sobrenome, Nome"', () => {
+    const window = openPage();
+    assert.deepStrictEqual(
+        toPlain(window.cleanProfessorNames('Prof. Dr. SILVA, MARIA DA; Souza, João (responsável)\nDocente não informado')),
+        ['Silva, Maria da', 'Souza, João']
+    );
+    assert.strictEqual(window.joinProfessorNames(['Silva, Maria da', 'Souza, João']), 'Silva, Maria da; Souza, João');
+    assert.strictEqual(window.joinProfessorNames([]), 'Docente não informado');
+});
+
+test('readScheduleGrid lê um horário por linha da grade e informa os seletores usados', () => {
+    const window = openPage();
+    const grid = toPlain(window.readScheduleGrid(window.document));
+
+    assert.deepStrictEqual(Object.keys(grid.disciplineSlots), ['MAC0110', 'MAT2453', 'FLC0112']);
+    assert.deepStrictEqual(grid.disciplineSlots.MAC0110, [
+        { day: 'Segunda-feira', startTime: '08:00', endTime: '08:50' },
+        { day: 'Quarta-feira', startTime: '08:00', endTime: '08:50' },
+        { day: 'Segunda-feira', startTime: '08:50', endTime: '09:40' },
+        { day: 'Quarta-feira', startTime: '08:50', endTime: '09:40' }
+    ]);
+    assert.strictEqual(grid.selectors.table, 'table#tableGradeHoraria');
+    assert.strictEqual(grid.selectors.rows, '.ui-jqgrid-bdiv tbody tr.jqgrow');
+});
+
+test('parseSavedSchedulePage junta os horários consecutivos da mesma disciplina', () => {
+    const window = openPage();
+    const events = toPlain(window.parseSavedSchedulePage(window.document).data);
+
+    assert.deepStrictEqual(
+        events.filter(event => event.code === 'MAC0110').map(event => [event.day, event.startTime, event.endTime]),
+        [['Segunda-feira', '08:00', '09:40'], ['Quarta-feira', '08:00', '09:40']]
+    );
+});
+
+test('readScheduleGrid lê o cabeçalho da própria grade e códigos só com números', () => {
+    // Outra grade jqGrid antes da grade horária, com um cabeçalho que também cita dias
+    const otherGrid = `<div class="ui-jqgrid"><div class="ui-jqgrid-hdiv"><table class="ui-jqgrid-htable"><thead>
+        <tr class="jqg-third-row-header"><th><div>Código</div></th><th><div>Turma</div></th><th><div>Sab</div></th></tr>
+    </thead></table></div></div>`;
+    const html = FIXTURE
+        .replace('<body>', `<body>${otherGrid}`)
+        .replace(/<span data-disciplina="FLC0112" data-turma="2026103">FLC0112<\/span>/g, '<div>4302111</div>');
+    const window = openPage(html);
+    const grid = toPlain(window.readScheduleGrid(window.document));
+
+    assert.deepStrictEqual(Object.keys(grid.disciplineSlots).sort(), ['4302111', 'MAC0110', 'MAT2453']);
+    assert.deepStrictEqual([...new Set(grid.disciplineSlots.MAC0110.map(slot => slot.day))], ['Segunda-feira', 'Quarta-feira']);
+    assert.deepStrictEqual([...new Set(grid.disciplineSlots['4302111'].map(slot => slot.day))], ['Sexta-feira']);
+});
+
+test('readScheduleGrid diz em qual etapa a leitura parou', () => {
+    const noTable = openPage('<!DOCTYPE html><body><p>Sessão expirada</p></body>');
+    assert.strictEqual(noTable.readScheduleGrid(noTable.document).error.stage, 'table');
+
+    const noRows = openPage(FIXTURE.replace(/class="jqgrow"/g, 'class="linha"'));
+    assert.strictEqual(noRows.readScheduleGrid(noRows.document).error.stage, 'rows');
+
+    const noDisciplines = openPage(FIXTURE.replace(/<span data-disciplina[^>]*>[^<]*<\/span>/g, ''));
+    assert.strictEqual(noDisciplines.readScheduleGrid(noDisciplines.document).error.stage, 'disciplines');
+});
+
+test('buildPageOutline mostra a estrutura sem os textos da página', () => {
+    const window = openPage();
+    const outline = window.buildPageOutline(window.document);
+
+    assert.match(outline, /table#tableGradeHoraria/);
+    assert.doesNotMatch(outline, /Introdução|Docente|B-101/);
+    assert.doesNotMatch(outline, /2026101/);
+});
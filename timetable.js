@@ -0,0 +1,263 @@
+/**
+ * @file timetable.js
+ * @description Monta a visão semanal da grade (dias nas colunas, horas nas
+ * linhas) a partir das aulas extraídas, com uma cor estável por disciplina.
+ */
+
+/**
+ * Ordem das colunas da grade semanal.
+ * @type {Array<string>}
+ */
+const TIMETABLE_DAYS = ['Segunda-feira', 'Terça-feira', 'Quarta-feira', 'Quinta-feira', 'Sexta-feira', 'Sábado', 'Domingo'];
+
+/**
+ * Altura, em pixels, de uma hora na grade do popup.
+ * @type {number}
+ */
+const TIMETABLE_HOUR_HEIGHT = 36;
+
+/**
+ * Converte um horário "HH:MM" em minutos desde a meia-noite.
+ * @param {string} time - O horário.
+ * @returns {number} Os minutos.
+ */
+function timeToMinutes(time) {
+    const [hours, minutes] = (time || '0:0').split(':').map(part => parseInt(part, 10) || 0);
+    return hours * 60 + minutes;
+}
+
+/**
+ * Escolhe uma cor para a disciplina a partir do seu código, de modo que a mesma
+ * disciplina tenha sempre a mesma cor (na lista, na grade e nas exportações).
+ * @param {string} code - O código da disciplina.
+ * @returns {string} A cor em HSL.
+ */
+function getDisciplineColor(code) {
+    let hash = 0;
+    for (const char of String(code)) {
+        hash = (hash * 31 + char.charCodeAt(0)) % 360;
+    }
+    return `hsl(${hash}, 65%, 42%)`;
+}
+
+/**
+ * Calcula a disposição da grade semanal: quais dias aparecem, o intervalo de horas
+ * e a posição de cada bloco. Segunda a sexta aparecem sempre; sábado e domingo só
+ * quando há aula.
+ * @param {Array<{key: string, event: Object}>} items - As aulas a posicionar.
+ * @returns {{days: Array<string>, startHour: number, endHour: number,
+ *   blocks: Array<{key: string, event: Object, dayIndex: number, startMinutes: number, endMinutes: number}>}}
+ */
+function buildTimetableLayout(items) {
+    const usedDays = new Set(items.map(item => item.event.day));
+    const days = TIMETABLE_DAYS.filter((day, index) => index < 5 || usedDays.has(day));
+
+    const blocks = items
+        .filter(item => days.includes(item.event.day))
+        .map(item => ({
+            key: item.key,
+            event: item.event,
+            dayIndex: days.indexOf(item.event.day),
+            startMinutes: timeToMinutes(item.event.startTime),
+            endMinutes: timeToMinutes(item.event.endTime)
+        }));
+
+    const startHour = blocks.length > 0 ? Math.floor(Math.min(...blocks.map(b => b.startMinutes)) / 60) : 8;
+    const endHour = blocks.length > 0 ? Math.ceil(Math.max(...blocks.map(b => b.endMinutes)) / 60) : 18;
+
+    return { days, startHour, endHour, blocks };
+}
+
+/**
+ * Desenha a grade semanal num contêiner do popup.
+ * @param {HTMLElement} container - O elemento que recebe a grade.
+ * @param {Array<{key: string, event: Object, excluded: boolean}>} items - As aulas.
+ * @param {function(string): void} onSelect - Chamada com a chave da aula clicada.
+ */
+function renderTimetable(container, items, onSelect) {
+    const layout = buildTimetableLayout(items);
+    const hours = [];
+    for (let hour = layout.startHour; hour < layout.endHour; hour++) hours.push(hour);
+    const bodyHeight = hours.length * TIMETABLE_HOUR_HEIGHT;
+
+    const grid = document.createElement('div');
+    grid.className = 'timetable';
+    grid.style.gridTemplateColumns = `32px repeat(${layout.days.length}, 1fr)`;
+
+    const corner = document.createElement('div');
+    corner.className = 'timetable-day';
+    grid.appendChild(corner);
+    layout.days.forEach(day => {
+        const header = document.createElement('div');
+        header.className = 'timetable-day';
+        header.textContent = day.substring(0, 3);
+        grid.appendChild(header);
+    });
+
+    const hourColumn = document.createElement('div');
+    hourColumn.className = 'timetable-hours';
+    hourColumn.style.height = `${bodyHeight}px`;
+    hours.forEach(hour => {
+        const label = document.createElement('div');
+        label.style.height = `${TIMETABLE_HOUR_HEIGHT}px`;
+        label.textContent = `${hour.toString().padStart(2, '0')}h`;
+        hourColumn.appendChild(label);
+    });
+    grid.appendChild(hourColumn);
+
+    const columns = layout.days.map(() => {
+        const column = document.createElement('div');
+        column.className = 'timetable-column';
+        column.style.height = `${bodyHeight}px`;
+        column.style.backgroundSize = `100% ${TIMETABLE_HOUR_HEIGHT}px`;
+        grid.appendChild(column);
+        return column;
+    });
+
+    layout.blocks.forEach(block => {
+        const item = items.find(candidate => candidate.key === block.key);
+        const element = document.createElement('button');
+        element.type = 'button';
+        element.className = item && item.excluded ? 'timetable-block excluded' : 'timetable-block';
+        element.style.top = `${(block.startMinutes - layout.startHour * 60) / 60 * TIMETABLE_HOUR_HEIGHT}px`;
+        element.style.height = `${(block.endMinutes - block.startMinutes) / 60 * TIMETABLE_HOUR_HEIGHT}px`;
+        element.style.backgroundColor = getDisciplineColor(block.event.code);
+        element.title = `${block.event.title}\n${block.event.startTime} - ${block.event.endTime}`;
+        element.textContent = block.event.code;
+        element.addEventListener('click', () => onSelect(block.key));
+        columns[block.dayIndex].appendChild(element);
+    });
+
+    container.innerHTML = '';
+    container.appendChild(grid);
+}
+
+/**
+ * Tamanho, em pixels, da imagem PNG da grade em cada orientação (retrato serve
+ * como papel de parede de celular).
+ * @type {Object<string, {width: number, height: number}>}
+ */
+const TIMETABLE_IMAGE_SIZES = {
+    portrait: { width: 1080, height: 1920 },
+    landscape: { width: 1920, height: 1080 }
+};
+
+/**
+ * Quebra um texto em linhas que cabem numa largura, cortando com "…" o que
+ * passar do número máximo de linhas.
+ * @param {CanvasRenderingContext2D} context - O contexto, já com a fonte definida.
+ * @param {string} text - O texto.
+ * @param {number} maxWidth - A largura disponível.
+ * @param {number} maxLines - O número máximo de linhas.
+ * @returns {Array<string>} As linhas.
+ */
+function wrapCanvasText(context, text, maxWidth, maxLines) {
+    const lines = [];
+    let current = '';
+    for (const word of String(text || '').split(/\s+/).filter(Boolean)) {
+        const candidate = current ? `${current} ${word}` : word;
+        if (context.measureText(candidate).width <= maxWidth || !current) {
+            current = candidate;
+        } else {
+            lines.push(current);
+            current = word;
+        }
+    }
+    if (current) lines.push(current);
+
+    if (lines.length > maxLines) {
+        lines.length = maxLines;
+        let last = lines[maxLines - 1];
+        while (last.length > 1 && context.measureText(`${last}…`).width > maxWidth) last = last.slice(0, -1);
+        lines[maxLines - 1] = `${last}…`;
+    }
+    return lines;
+}
+
+/**
+ * Desenha a grade semanal numa imagem, com código, título, local e professores de
+ * cada aula, para exportar em PNG.
+ * @param {HTMLCanvasElement} canvas - O canvas de destino (é redimensionado).
+ * @param {Array<{key: string, event: Object}>} items - As aulas.
+ * @param {Object} [options] - Opções do desenho.
+ * @param {string} [options.orientation] - 'portrait' ou 'landscape'.
+ * @param {string} [options.title] - O título no topo da imagem.
+ */
+function drawTimetableImage(canvas, items, { orientation = 'portrait', title = 'Grade Horária' } = {}) {
+    const { width, height } = TIMETABLE_IMAGE_SIZES[orientation] || TIMETABLE_IMAGE_SIZES.portrait;
+    const layout = buildTimetableLayout(items);
+    const unit = Math.min(width, height) / 54;
+    const margin = unit * 2;
+    const titleHeight = unit * 3;
+    const headerHeight = unit * 2;
+    const hourWidth = unit * 3;
+    const top = margin + titleHeight + headerHeight;
+    const columnWidth = (width - margin * 2 - hourWidth) / layout.days.length;
+    const hourHeight = (height - top - margin) / Math.max(layout.endHour - layout.startHour, 1);
+
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext('2d');
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, width, height);
+    context.textBaseline = 'top';
+
+    context.fillStyle = '#1f2937';
+    context.font = `700 ${unit * 1.6}px "Segoe UI", Roboto, Helvetica, Arial, sans-serif`;
+    context.fillText(title, margin, margin);
+
+    context.font = `600 ${unit * 0.9}px "Segoe UI", Roboto, Helvetica, Arial, sans-serif`;
+    context.textAlign = 'center';
+    layout.days.forEach((day, index) => {
+        context.fillText(day.split('-')[0], margin + hourWidth + columnWidth * (index + 0.5), margin + titleHeight);
+    });
+
+    context.textAlign = 'right';
+    context.strokeStyle = '#e5e7eb';
+    context.lineWidth = 1;
+    for (let hour = layout.startHour; hour <= layout.endHour; hour++) {
+        const y = top + (hour - layout.startHour) * hourHeight;
+        context.beginPath();
+        context.moveTo(margin + hourWidth, y);
+        context.lineTo(width - margin, y);
+        context.stroke();
+        if (hour < layout.endHour) {
+            context.fillStyle = '#6b7280';
+            context.fillText(`${hour.toString().padStart(2, '0')}h`, margin + hourWidth - unit * 0.4, y + unit * 0.2);
+        }
+    }
+
+    context.textAlign = 'left';
+    const padding = unit * 0.35;
+    layout.blocks.forEach(block => {
+        const x = margin + hourWidth + columnWidth * block.dayIndex + 2;
+        const y = top + (block.startMinutes - layout.startHour * 60) / 60 * hourHeight + 2;
+        const blockWidth = columnWidth - 4;
+        const blockHeight = (block.endMinutes - block.startMinutes) / 60 * hourHeight - 4;
+
+        context.fillStyle = getDisciplineColor(block.event.code);
+        context.beginPath();
+        context.roundRect(x, y, blockWidth, blockHeight, unit * 0.3);
+        context.fill();
+
+        // Código em destaque e, no espaço que sobrar, título, local e professores
+        const lineHeight = unit * 0.85;
+        let remaining = Math.floor((blockHeight - padding * 2) / lineHeight);
+        let cursor = y + padding;
+        context.fillStyle = '#ffffff';
+        [
+            { text: `${block.event.code} · ${block.event.startTime}-${block.event.endTime}`, weight: 700, lines: 1 },
+            { text: block.event.title !== block.event.code ? block.event.title : '', weight: 400, lines: 3 },
+            { text: block.event.location, weight: 600, lines: 1 },
+            { text: block.event.professors, weight: 400, lines: 2 }
+        ].forEach(part => {
+            if (!part.text || remaining <= 0) return;
+            context.font = `${part.weight} ${unit * 0.7}px "Segoe UI", Roboto, Helvetica, Arial, sans-serif`;
+            wrapCanvasText(context, part.text, blockWidth - padding * 2, Math.min(part.lines, remaining)).forEach(line => {
+                context.fillText(line, x + padding, cursor);
+                cursor += lineHeight;
+                remaining--;
+            });
+        });
+    });
+}
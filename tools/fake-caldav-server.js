@@ -0,0 +1,113 @@
+/**
+ * @file fake-caldav-server.js
+ * @description Servidor local que imita uma coleção CalDAV no estilo do Radicale
+ * (uma agenda por URL, um recurso .ics por evento, ETags entre aspas e
+ * autenticação Basic), guardando tudo em memória. Serve para testar o envio por
+ * CalDAV sem um servidor de verdade:
+ *
+ *     node tools/fake-caldav-server.js [porta]
+ *
+ * e então informar no popup a coleção http://localhost:<porta>/aluno/usp/ com
+ * usuário "aluno" e senha "senha". Atende PROPFIND (Depth 1, com getetag), GET,
+ * PUT (com If-Match e If-None-Match) e DELETE (com If-Match).
+ */
+
+const http = require('http');
+
+const USERNAME = 'aluno';
+const PASSWORD = 'senha';
+const COLLECTION_PATH = '/aluno/usp/';
+
+/**
+ * Cria o servidor falso com a coleção vazia.
+ * @returns {http.Server} O servidor (ainda não iniciado), com o mapa dos recursos
+ * em server.resources (do caminho para {etag, body}).
+ */
+function createFakeCalDavServer() {
+    const resources = new Map();
+    let nextEtag = 1;
+
+    /**
+     * Monta a resposta 207 de um PROPFIND com o ETag de cada recurso.
+     * @returns {string} O XML multistatus.
+     */
+    function multistatus() {
+        const entry = (href, prop) =>
+            `<d:response><d:href>${href}</d:href><d:propstat><d:prop>${prop}</d:prop>` +
+            '<d:status>HTTP/1.1 200 OK</d:status></d:propstat></d:response>';
+        return '<?xml version="1.0" encoding="utf-8"?><d:multistatus xmlns:d="DAV:">' +
+            entry(COLLECTION_PATH, '<d:resourcetype><d:collection/></d:resourcetype>') +
+            [...resources].map(([path, resource]) => entry(path, `<d:getetag>${resource.etag}</d:getetag>`)).join('') +
+            '</d:multistatus>';
+    }
+
+    /**
+     * Responde a uma requisição já com o corpo lido.
+     * @param {http.IncomingMessage} req - A requisição.
+     * @param {string} body - O corpo.
+     * @returns {{status: number, headers?: Object, body?: string}} A resposta.
+     */
+    function handle(req, body) {
+        // O Radicale guarda o caminho com os caracteres já codificados, como o cliente enviou
+        const path = new URL(req.url, 'http://localhost').pathname;
+        const current = resources.get(path);
+        const ifMatch = req.headers['if-match'];
+        const ifNoneMatch = req.headers['if-none-match'];
+
+        if (req.method === 'PROPFIND' && path === COLLECTION_PATH) {
+            return { status: 207, headers: { 'Content-Type': 'application/xml; charset=utf-8' }, body: multistatus() };
+        }
+        if (!path.startsWith(COLLECTION_PATH) || path === COLLECTION_PATH) {
+            return { status: 404 };
+        }
+        if (req.method === 'GET') {
+            return current ? { status: 200, headers: { ETag: current.etag }, body: current.body } : { status: 404 };
+        }
+        if (req.method === 'PUT') {
+            if ((ifNoneMatch === '*' && current) || (ifMatch && (!current || current.etag !== ifMatch))) {
+                return { status: 412 };
+            }
+            if (!/^BEGIN:VCALENDAR\r\n/.test(body) || !/\r\nUID:/.test(body)) {
+                return { status: 400, body: 'Recurso iCalendar inválido' };
+            }
+            const etag = `"${nextEtag++}"`;
+            resources.set(path, { etag, body });
+            return { status: current ? 204 : 201, headers: { ETag: etag } };
+        }
+        if (req.method === 'DELETE') {
+            if (!current) return { status: 404 };
+            if (ifMatch && current.etag !== ifMatch) return { status: 412 };
+            resources.delete(path);
+            return { status: 204 };
+        }
+        return { status: 405 };
+    }
+
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const expected = `Basic ${Buffer.from(`${USERNAME}:${PASSWORD}`).toString('base64')}`;
+            if (req.headers.authorization !== expected) {
+                res.writeHead(401, { 'WWW-Authenticate': 'Basic realm="Radicale"' });
+                res.end();
+                return;
+            }
+
+            const result = handle(req, Buffer.concat(chunks).toString('utf8'));
+            res.writeHead(result.status, result.headers || {});
+            res.end(result.body);
+        });
+    });
+    server.resources = resources;
+    return server;
+}
+
+if (require.main === module) {
+    const port = parseInt(process.argv[2] || '5232', 10);
+    createFakeCalDavServer().listen(port, () => {
+        console.log(`Coleção CalDAV falsa em http://localhost:${port}${COLLECTION_PATH} (usuário "${USERNAME}", senha "${PASSWORD}")`);
+    });
+}
+
+module.exports = { createFakeCalDavServer, USERNAME, PASSWORD, COLLECTION_PATH };
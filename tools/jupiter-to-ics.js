@@ -0,0 +1,183 @@
+/**
+ * @file jupiter-to-ics.js
+ * @description Converte páginas de grade horária do JúpiterWeb salvas pelo
+ * navegador ("Salvar página como", HTML) em arquivos .ics e, opcionalmente, no
+ * JSON de exportação da extensão, sem abrir o navegador. Usa a mesma leitura da
+ * extensão (schedule-parser.js) e os mesmos geradores (ics.js, schedule-export.js):
+ *
+ *     node tools/jupiter-to-ics.js [--json] [--incompletas] [--campus <campus>] [--saida <pasta>] pagina.html [...]
+ *
+ * Cada página gera <nome>.ics (e <nome>.json com --json) na pasta de saída (padrão:
+ * a pasta da página). Com --campus, os feriados e recessos desse campus em
+ * data/calendario-academico.json saem como EXDATE. Uma página salva só traz os
+ * detalhes da disciplina aberta; as outras não têm as datas da turma e ficam de
+ * fora (com um aviso), a menos que se passe --incompletas, que as inclui com 18
+ * semanas a partir da data da conversão. Precisa do pacote jsdom
+ * (instalado com "npm install"), carregado só quando o comando roda.
+ */
+
+// As datas da extensão são calculadas no fuso do navegador, que para os alunos é
+// o de São Paulo; sem isso, o UNTIL das recorrências dependeria do fuso da máquina.
+process.env.TZ = 'America/Sao_Paulo';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * Modo de uso, mostrado com --help e quando faltam argumentos.
+ * @type {string}
+ */
+const USAGE = 'Uso: node tools/jupiter-to-ics.js [--json] [--incompletas] [--campus <campus>] [--saida <pasta>] pagina.html [...]';
+
+/**
+ * Scripts da extensão usados para gerar os arquivos, na ordem do popup.
+ * @type {Array<string>}
+ */
+const EXPORT_SCRIPTS = ['academic-calendar.js', 'professors.js', 'ics.js', 'schedule-export.js'];
+
+/**
+ * Carrega scripts da extensão (que não são módulos) num contexto.
+ * @param {Object} context - O contexto do vm ou a janela do jsdom.
+ * @param {Array<string>} files - Os scripts, relativos à raiz do repositório.
+ */
+function loadScripts(context, files) {
+    files.forEach(file => {
+        const code = fs.readFileSync(path.join(ROOT, file), 'utf8');
+        vm.runInContext(code, context, { filename: file });
+    });
+}
+
+/**
+ * Carrega o jsdom, com uma mensagem útil quando ele não está instalado.
+ * @returns {Function} A classe JSDOM.
+ */
+function requireJsdom() {
+    try {
+        return require('jsdom').JSDOM;
+    } catch (error) {
+        throw new Error('Este comando precisa do pacote jsdom. Instale as dependências com "npm install" e tente de novo.');
+    }
+}
+
+/**
+ * Lê os argumentos da linha de comando.
+ * @param {Array<string>} args - Os argumentos, sem "node" e o nome do script.
+ * @returns {{help: boolean, json: boolean, incomplete: boolean, campus: string, outputDir: ?string, files: Array<string>}} As opções.
+ * @throws {Error} Se houver uma opção desconhecida.
+ */
+function parseArgs(args) {
+    const options = { help: false, json: false, incomplete: false, campus: '', outputDir: null, files: [] };
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--help' || args[i] === '-h') {
+            options.help = true;
+        } else if (args[i] === '--json') {
+            options.json = true;
+        } else if (args[i] === '--incompletas') {
+            options.incomplete = true;
+        } else if (args[i] === '--campus') {
+            options.campus = args[++i] || '';
+        } else if (args[i] === '--saida') {
+            options.outputDir = args[++i] || null;
+        } else if (args[i].startsWith('-')) {
+            throw new Error(`Opção desconhecida: ${args[i]}\n${USAGE}`);
+        } else {
+            options.files.push(args[i]);
+        }
+    }
+    return options;
+}
+
+/**
+ * Extrai as aulas de uma página salva.
+ * @param {Function} JSDOM - A classe JSDOM.
+ * @param {string} html - O HTML da página.
+ * @returns {{events: Array<Object>, missingDetails: Array<string>}} As aulas, no
+ * formato da extração, e os códigos das disciplinas sem detalhes na página.
+ */
+function extractFromHtml(JSDOM, html) {
+    // Os scripts da própria página não rodam; só o parser da extensão
+    const dom = new JSDOM(html, { runScripts: 'outside-only' });
+    try {
+        loadScripts(dom.getInternalVMContext(), ['professors.js', 'schedule-parser.js']);
+        const result = dom.window.parseSavedSchedulePage(dom.window.document);
+        if (!result.success) {
+            throw new Error(`${result.error.message} (etapa "${result.error.stage}": ${JSON.stringify(result.error.found)})`);
+        }
+        return JSON.parse(JSON.stringify({ events: result.data, missingDetails: result.missingDetails }));
+    } finally {
+        dom.window.close();
+    }
+}
+
+/**
+ * Converte as páginas indicadas na linha de comando.
+ * @param {Array<string>} args - Os argumentos.
+ * @returns {number} O código de saída (1 se alguma página falhou).
+ */
+function main(args) {
+    const options = parseArgs(args);
+    if (options.help) {
+        console.log(USAGE);
+        return 0;
+    }
+    if (options.files.length === 0) {
+        console.error(USAGE);
+        return 1;
+    }
+
+    const JSDOM = requireJsdom();
+    const exporter = vm.createContext({ console, TextEncoder });
+    loadScripts(exporter, EXPORT_SCRIPTS);
+
+    const calendar = JSON.parse(fs.readFileSync(path.join(ROOT, 'data/calendario-academico.json'), 'utf8'));
+    const nonTeachingDays = options.campus ? exporter.getNonTeachingDays(calendar, options.campus) : [];
+
+    let failed = 0;
+    options.files.forEach(file => {
+        try {
+            const extracted = extractFromHtml(JSDOM, fs.readFileSync(file, 'utf8'));
+            let events = extracted.events;
+            if (extracted.missingDetails.length > 0) {
+                const codes = extracted.missingDetails.join(', ');
+                if (options.incomplete) {
+                    console.error(`${file}: sem detalhes de ${codes}; incluídas com 18 semanas a partir de hoje`);
+                } else {
+                    console.error(`${file}: sem detalhes de ${codes}; omitidas (use --incompletas para incluí-las)`);
+                    events = events.filter(event => !extracted.missingDetails.includes(event.code));
+                }
+            }
+            if (events.length === 0) {
+                throw new Error('Nenhuma disciplina com detalhes na página.');
+            }
+            const outputDir = options.outputDir || path.dirname(file);
+            const baseName = path.join(outputDir, path.basename(file).replace(/\.html?$/i, ''));
+            fs.mkdirSync(outputDir, { recursive: true });
+
+            fs.writeFileSync(`${baseName}.ics`, exporter.buildIcsCalendar(events, { nonTeachingDays }));
+            const written = [`${baseName}.ics`];
+            if (options.json) {
+                fs.writeFileSync(`${baseName}.json`, exporter.buildScheduleJson(events));
+                written.push(`${baseName}.json`);
+            }
+            console.log(`${file}: ${events.length} aula(s) -> ${written.join(', ')}`);
+        } catch (error) {
+            failed++;
+            console.error(`${file}: ${error.message}`);
+        }
+    });
+    return failed > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+    try {
+        process.exitCode = main(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = { extractFromHtml, parseArgs, main };